@@ -0,0 +1,177 @@
+// middleware/apiKeys.js - API KEYS CON SCOPES
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { obtenerClientePorEmail } from "../services/clientesService.js";
+import { logger } from "../services/logger.js";
+import { ErrorApi, responderError } from "../services/errores.js";
+
+// API_KEYS_MODO:
+// - desactivado (default): sin verificación
+// - opcional: las keys enviadas se validan; sin key se permite el acceso
+// - requerido: las rutas protegidas exigen key (o firma válida de Shopify App Proxy)
+const MODO = (process.env.API_KEYS_MODO || "desactivado").toLowerCase();
+const RUTA_KEYS = path.resolve(process.env.API_KEYS_FILE || "config/api-keys.json");
+const RECARGA_MS = 30 * 1000;
+
+// Scopes conocidos
+export const SCOPES = {
+  CLIENTES_LEER: "clientes:leer",
+  PRECIOS_LEER: "precios:leer",
+  CACHE_ADMIN: "cache:admin",
+  METRICAS_LEER: "metricas:leer"
+};
+
+// ============================================
+// ARCHIVO DE KEYS (se relee si cambia)
+// Formato: { "keys": [{ "nombre", "key_sha256", "scopes": [], "clientes": [] }] }
+// Se guarda solo el SHA-256 de cada key: echo -n "<key>" | sha256sum
+// ============================================
+const registro = {
+  porHash: new Map(),
+  mtime: 0,
+  ultimaRevision: 0
+};
+
+function cargarKeys() {
+  if (Date.now() - registro.ultimaRevision < RECARGA_MS) return;
+  registro.ultimaRevision = Date.now();
+
+  let stat;
+  try {
+    stat = fs.statSync(RUTA_KEYS);
+  } catch (error) {
+    if (registro.porHash.size > 0) logger.warn("Archivo de API keys no disponible", { ruta: RUTA_KEYS });
+    registro.porHash = new Map();
+    registro.mtime = 0;
+    return;
+  }
+
+  if (stat.mtimeMs === registro.mtime) return;
+
+  try {
+    const { keys = [] } = JSON.parse(fs.readFileSync(RUTA_KEYS, "utf8"));
+    const porHash = new Map();
+
+    keys.forEach(key => {
+      if (!key.nombre || !key.key_sha256) return;
+      porHash.set(key.key_sha256.toLowerCase(), {
+        nombre: key.nombre,
+        scopes: key.scopes || [],
+        // Lista vacía o ausente = todos los clientes
+        clientes: (key.clientes || []).map(c => c.toString().trim().toLowerCase())
+      });
+    });
+
+    registro.porHash = porHash;
+    registro.mtime = stat.mtimeMs;
+    logger.info("API keys cargadas", { total: porHash.size, ruta: RUTA_KEYS });
+  } catch (error) {
+    // Se conservan las keys anteriores si el archivo nuevo no es válido
+    logger.error("Archivo de API keys inválido", { ruta: RUTA_KEYS, error });
+  }
+}
+
+/**
+ * Helper: Responder 401/403 con título y mensaje del catálogo (services/mensajes.js)
+ */
+function rechazar(req, res, status, titulo, clave, { valores, extra = {} } = {}) {
+  if (status === 401) res.set("WWW-Authenticate", 'Bearer realm="rodin-api"');
+  const codigo = status === 401 ? "NO_AUTENTICADO" : "ACCESO_DENEGADO";
+  return responderError(req, res, new ErrorApi(codigo, null, { clave, valores, titulo }), extra);
+}
+
+/**
+ * Middleware global: identificar la API key del header Authorization
+ * Solo valida la key; cada ruta decide qué scope necesita (ver requiereScope).
+ */
+export function autenticarApiKey(req, res, next) {
+  if (MODO === "desactivado") return next();
+
+  const header = req.headers.authorization;
+  if (!header) return next();
+
+  const [tipo, key] = header.split(" ");
+  if (tipo !== "Bearer" || !key) {
+    return rechazar(req, res, 401, "titulo.autorizacion_invalida", "error.autorizacion_formato");
+  }
+
+  cargarKeys();
+  const hash = crypto.createHash("sha256").update(key.trim()).digest("hex");
+  const apiKey = registro.porHash.get(hash);
+
+  if (!apiKey) {
+    logger.warn("API key inválida", { ip: req.ip });
+    return rechazar(req, res, 401, "titulo.api_key_invalida", "error.api_key_invalida");
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Middleware de ruta: exigir un scope y, si la key tiene lista de clientes, que el
+ * cliente pedido esté en ella
+ * @param {string} scope - Uno de SCOPES
+ * @param {Function} obtenerIdentificador - (req) => código o email pedido (opcional)
+ */
+export function requiereScope(scope, obtenerIdentificador = null) {
+  return async (req, res, next) => {
+    if (MODO === "desactivado") return next();
+
+    // Compradores ya verificados por Shopify App Proxy (limitados a su cliente)
+    if (!req.apiKey && req.shopify) return next();
+
+    if (!req.apiKey) {
+      if (MODO === "opcional") return next();
+      return rechazar(req, res, 401, "titulo.api_key_requerida", "error.api_key_requerida");
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+      return rechazar(req, res, 403, "titulo.permiso_insuficiente", "error.api_key_sin_scope", {
+        valores: { key: req.apiKey.nombre },
+        extra: { scope_requerido: scope }
+      });
+    }
+
+    const permitidos = req.apiKey.clientes;
+    if (permitidos.length === 0) return next();
+
+    const identificador = obtenerIdentificador?.(req)?.toString().trim().toLowerCase();
+    if (!identificador) {
+      return rechazar(req, res, 403, "titulo.cliente_no_permitido", "error.api_key_limitada", {
+        valores: { key: req.apiKey.nombre }
+      });
+    }
+
+    try {
+      // Un email se traduce a su código de cliente antes de comparar
+      let codigo = identificador;
+      if (identificador.includes("@")) {
+        const cliente = await obtenerClientePorEmail(identificador);
+        codigo = cliente?.cliente?.toString().toLowerCase();
+      }
+
+      if (!codigo || !permitidos.includes(codigo)) {
+        return rechazar(req, res, 403, "titulo.cliente_no_permitido", "error.api_key_sin_acceso", {
+          valores: { key: req.apiKey.nombre }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Configuración de API keys (para health)
+ */
+export function getApiKeysConfig() {
+  cargarKeys();
+  return {
+    modo: MODO,
+    keys_cargadas: registro.porHash.size
+  };
+}
@@ -0,0 +1,99 @@
+// middleware/cacheHttp.js - POLÍTICAS DE CACHE HTTP Y PETICIONES CONDICIONALES
+import crypto from "crypto";
+
+// Políticas disponibles por ruta
+// - no-store: datos que identifican al cliente (correo, dirección, crédito)
+// - revalidar: listas de precios; el navegador las guarda pero pregunta siempre (ETag/304)
+const POLITICAS = {
+  "no-store": {
+    "Cache-Control": "no-store, no-cache, must-revalidate, proxy-revalidate",
+    "Pragma": "no-cache",
+    "Expires": "0"
+  },
+  "revalidar": {
+    "Cache-Control": "private, no-cache"
+  }
+};
+
+/**
+ * Middleware: aplicar la política de cache de una ruta
+ * server.js aplica "no-store" a todo; las rutas de precios lo sustituyen con "revalidar".
+ * @param {string} nombre - "no-store" | "revalidar"
+ */
+export function politicaCache(nombre) {
+  const headers = POLITICAS[nombre];
+  if (!headers) {
+    throw new Error(`Política de cache desconocida: ${nombre}`);
+  }
+
+  return (req, res, next) => {
+    res.removeHeader("Pragma");
+    res.removeHeader("Expires");
+    res.set(headers);
+    next();
+  };
+}
+
+/**
+ * Hash corto y estable de cualquier valor serializable (base para ETags)
+ */
+export function calcularVersion(...partes) {
+  const hash = crypto.createHash("sha1");
+  partes.forEach(parte => {
+    hash.update(typeof parte === "string" ? parte : JSON.stringify(parte ?? null));
+    hash.update("\u0000");
+  });
+  return hash.digest("base64url").slice(0, 27);
+}
+
+/**
+ * Responder con ETag/Last-Modified, o 304 si el cliente ya tiene esta versión
+ * El cuerpo se recibe como función para no serializarlo cuando se responde 304.
+ * @param {Object} validadores - { etag, lastModified } (lastModified: Date o ISO string)
+ * @param {Function} construirBody - () => objeto a enviar como JSON
+ */
+export function responderConValidacion(req, res, { etag, lastModified }, construirBody) {
+  if (etag) {
+    res.set("ETag", `W/"${etag}"`);
+  }
+
+  if (lastModified) {
+    const fecha = new Date(lastModified);
+    if (!isNaN(fecha.getTime())) {
+      res.set("Last-Modified", fecha.toUTCString());
+    }
+  }
+
+  if (esPeticionVigente(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  return res.json(construirBody());
+}
+
+/**
+ * ¿El cliente ya tiene la versión actual? (RFC 9110 §13.2.2)
+ * If-None-Match tiene prioridad; If-Modified-Since solo se evalúa si no viene.
+ */
+function esPeticionVigente(req, etag, lastModified) {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === "*") return true;
+
+    // Comparación débil: se ignora el prefijo W/
+    return ifNoneMatch
+      .split(",")
+      .map(tag => tag.trim().replace(/^W\//, ""))
+      .includes(`"${etag}"`);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  const modificado = lastModified ? new Date(lastModified).getTime() : NaN;
+  if (isNaN(ifModifiedSince) || isNaN(modificado)) return false;
+
+  // Last-Modified tiene resolución de segundos
+  return Math.floor(modificado / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
@@ -0,0 +1,13 @@
+// middleware/idioma.js - IDIOMA DE LA RESPUESTA SEGÚN ACCEPT-LANGUAGE
+import { idiomaPreferido } from "../services/mensajes.js";
+
+/**
+ * Middleware: fijar req.idioma ("es" por defecto, "en") para los mensajes de la respuesta
+ * Vary: Accept-Language evita que un cache compartido sirva un idioma por otro.
+ */
+export function detectarIdioma(req, res, next) {
+  req.idioma = idiomaPreferido(req.get("Accept-Language"));
+  res.set("Content-Language", req.idioma);
+  res.vary("Accept-Language");
+  next();
+}
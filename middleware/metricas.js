@@ -0,0 +1,28 @@
+// middleware/metricas.js - MEDICIÓN DE PETICIONES Y ENDPOINT /metrics
+import { peticionesHttp, duracionHttp, exportarMetricas } from "../services/metricas.js";
+
+/**
+ * Middleware: contar y medir cada petición por ruta (patrón de Express, no URL concreta)
+ */
+export function medirPeticiones(req, res, next) {
+  const inicio = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    // El patrón evita una serie por cliente/email; lo que no llega a una ruta se agrupa
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "sin_ruta";
+    const etiquetas = { method: req.method, route, status: String(res.statusCode) };
+
+    peticionesHttp.inc(etiquetas);
+    duracionHttp.observar(etiquetas, Number(process.hrtime.bigint() - inicio) / 1e9);
+  });
+
+  next();
+}
+
+/**
+ * Handler: métricas en formato de texto de Prometheus
+ */
+export function exponerMetricas(req, res) {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(exportarMetricas());
+}
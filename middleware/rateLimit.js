@@ -0,0 +1,174 @@
+// middleware/rateLimit.js - RATE LIMITING POR IDENTIDAD (TOKEN BUCKET)
+import { verificarPeticionAppProxy } from "./shopifyAppProxy.js";
+import { logger } from "../services/logger.js";
+import { registrarColector } from "../services/metricas.js";
+import { ErrorApi, responderError } from "../services/errores.js";
+
+const VENTANA_MS = (parseInt(process.env.RATE_LIMIT_VENTANA_MIN) || 15) * 60 * 1000;
+const MAX_ENTRADAS = parseInt(process.env.RATE_LIMIT_MAX_ENTRADAS) || 50000;
+
+// Presupuesto por clase de ruta: `max` peticiones por ventana (el bucket se rellena continuo)
+const CLASES = {
+  costosa: {
+    max: parseInt(process.env.RATE_LIMIT_COSTOSO_MAX) || 20,
+    // Descargan listas completas (multi-MB, y en frío varias páginas de Rodin) o consultan un SKU
+    // por línea de carrito (POST /cotizacion)
+    rutas: [/^\/lista-precios\/completo\//, /^\/lista-precios\/email\//, /^\/cotizacion\/?$/]
+  },
+  general: {
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+    rutas: [/./]
+  }
+};
+
+// Rutas sin límite (monitoreo)
+const EXENTAS = [/^\/health$/];
+
+const stats = { rechazadas: 0, rechazadas_por_clase: {} };
+
+/**
+ * Identidad para el límite: API key > cliente de Shopify (firma válida y reciente) > IP
+ */
+function identidad(req) {
+  if (req.apiKey) return `key:${req.apiKey.nombre}`;
+
+  if (req.query.logged_in_customer_id && verificarPeticionAppProxy(req) === "valida") {
+    return `shopify:${req.query.logged_in_customer_id}`;
+  }
+
+  return `ip:${req.ip || req.socket.remoteAddress}`;
+}
+
+function claseDe(path) {
+  return Object.keys(CLASES).find(nombre => CLASES[nombre].rutas.some(r => r.test(path)));
+}
+
+// ============================================
+// TOKEN BUCKETS
+// ============================================
+// `${clase}:${identidad}` → { tokens, actualizado }; el orden del Map es LRU.
+// El reloj es inyectable para probar el rellenado sin esperar la ventana.
+export class LimitadorTokens {
+  constructor({ ventanaMs = VENTANA_MS, maxEntradas = MAX_ENTRADAS, reloj = Date.now } = {}) {
+    this.ventanaMs = ventanaMs;
+    this.maxEntradas = maxEntradas;
+    this.reloj = reloj;
+    this.buckets = new Map();
+  }
+
+  get size() {
+    return this.buckets.size;
+  }
+
+  // Consumir un token del bucket; devuelve el estado tras el intento
+  consumir(clave, max) {
+    const ahora = this.reloj();
+    const tasa = max / this.ventanaMs; // tokens por ms
+
+    let bucket = this.buckets.get(clave);
+    if (bucket) {
+      this.buckets.delete(clave); // Reinsertar al final (más reciente)
+      bucket.tokens = Math.min(max, bucket.tokens + (ahora - bucket.actualizado) * tasa);
+      bucket.actualizado = ahora;
+    } else {
+      bucket = { tokens: max, actualizado: ahora };
+      if (this.buckets.size >= this.maxEntradas) {
+        this.buckets.delete(this.buckets.keys().next().value);
+      }
+    }
+    this.buckets.set(clave, bucket);
+
+    const permitido = bucket.tokens >= 1;
+    if (permitido) bucket.tokens -= 1;
+
+    return {
+      permitido,
+      restantes: Math.floor(bucket.tokens),
+      // Segundos hasta tener 1 token / hasta recuperar el bucket completo
+      reintentarEn: permitido ? 0 : Math.ceil((1 - bucket.tokens) / tasa / 1000),
+      reinicioEn: Math.ceil((max - bucket.tokens) / tasa / 1000)
+    };
+  }
+
+  // Eliminar buckets inactivos: ya se habrían rellenado por completo
+  purgarInactivos() {
+    const ahora = this.reloj();
+    for (const [clave, bucket] of this.buckets.entries()) {
+      if (ahora - bucket.actualizado >= this.ventanaMs) {
+        this.buckets.delete(clave);
+      }
+    }
+  }
+}
+
+const limitador = new LimitadorTokens();
+setInterval(() => limitador.purgarInactivos(), 60 * 1000).unref();
+
+/**
+ * Crear el middleware de rate limit sobre un limitador (las pruebas inyectan el suyo)
+ */
+export function crearLimitarPeticiones(limitadorTokens) {
+  return (req, res, next) => {
+    if (EXENTAS.some(r => r.test(req.path))) return next();
+
+    const clase = claseDe(req.path);
+    const { max } = CLASES[clase];
+    const clave = `${clase}:${identidad(req)}`;
+    const resultado = limitadorTokens.consumir(clave, max);
+
+    // Headers estándar (draft-ietf-httpapi-ratelimit-headers)
+    res.set({
+      "RateLimit-Policy": `${max};w=${Math.round(limitadorTokens.ventanaMs / 1000)}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(resultado.restantes),
+      "RateLimit-Reset": String(resultado.reinicioEn)
+    });
+
+    if (!resultado.permitido) {
+      stats.rechazadas++;
+      stats.rechazadas_por_clase[clase] = (stats.rechazadas_por_clase[clase] || 0) + 1;
+      logger.warn("Rate limit excedido", { clase, identidad: clave, retry_after: resultado.reintentarEn });
+
+      const error = new ErrorApi("LIMITE_EXCEDIDO", null, {
+        clave: "error.limite_excedido",
+        reintentarEnSeg: resultado.reintentarEn
+      });
+      return responderError(req, res, error, { retryAfter: resultado.reintentarEn });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware: limitar peticiones (debe montarse antes de las rutas)
+ */
+export const limitarPeticiones = crearLimitarPeticiones(limitador);
+
+registrarColector(() => [{
+  nombre: "rate_limit_rejections_total",
+  tipo: "counter",
+  ayuda: "Peticiones rechazadas con 429 por clase de ruta",
+  muestras: Object.keys(CLASES).map(clase => ({
+    etiquetas: { class: clase },
+    valor: stats.rechazadas_por_clase[clase] || 0
+  }))
+}, {
+  nombre: "rate_limit_active_identities",
+  tipo: "gauge",
+  ayuda: "Buckets de rate limit en memoria",
+  muestras: [{ valor: limitador.size }]
+}]);
+
+/**
+ * Estado del limitador (para estadísticas y métricas)
+ */
+export function getRateLimitStats() {
+  return {
+    ventana_minutos: VENTANA_MS / 60000,
+    limites: Object.fromEntries(Object.entries(CLASES).map(([nombre, c]) => [nombre, c.max])),
+    identidades_activas: limitador.size,
+    rechazadas: stats.rechazadas,
+    rechazadas_por_clase: { ...stats.rechazadas_por_clase }
+  };
+}
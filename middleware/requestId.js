@@ -0,0 +1,36 @@
+// middleware/requestId.js - ID DE CORRELACIÓN Y LOG DE CADA PETICIÓN
+import crypto from "crypto";
+import { ejecutarConContexto, logger } from "../services/logger.js";
+
+// Se reutiliza el ID entrante (p. ej. del proxy de Shopify) solo si tiene un formato seguro
+const FORMATO_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware: asignar (o reutilizar) X-Request-Id y registrar la petición al terminar
+ * Debe montarse primero para que todo lo demás corra dentro del contexto.
+ */
+export function asignarRequestId(req, res, next) {
+  const entrante = req.get("X-Request-Id");
+  const id = entrante && FORMATO_ID.test(entrante) ? entrante : crypto.randomUUID();
+
+  req.id = id;
+  res.set("X-Request-Id", id);
+
+  const inicio = process.hrtime.bigint();
+  res.on("finish", () => {
+    const duracionMs = Number(process.hrtime.bigint() - inicio) / 1e6;
+    const nivel = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+
+    logger[nivel]("Petición completada", {
+      request_id: id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      duration_ms: Math.round(duracionMs * 10) / 10,
+      ...(req.apiKey && { api_key: req.apiKey.nombre }),
+      ...(req.shopify && { shopify_customer: req.shopify.customerId })
+    });
+  });
+
+  ejecutarConContexto({ requestId: id }, next);
+}
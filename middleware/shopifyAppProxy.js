@@ -0,0 +1,161 @@
+// middleware/shopifyAppProxy.js - FIRMA DE SHOPIFY APP PROXY Y ACCESO POR CLIENTE
+import crypto from "crypto";
+import { resolverClienteShopify } from "../services/shopifyClientesService.js";
+import { logger } from "../services/logger.js";
+import { ErrorApi, responderError } from "../services/errores.js";
+
+// SHOPIFY_APP_PROXY:
+// - desactivado (default): sin verificación
+// - opcional: si la petición trae `signature`, se verifica y se limita al cliente
+// - requerido: toda ruta protegida exige firma válida de App Proxy
+const MODO = (process.env.SHOPIFY_APP_PROXY || "desactivado").toLowerCase();
+const MAX_EDAD_SEG = parseInt(process.env.SHOPIFY_APP_PROXY_MAX_EDAD_SEG) || 300;
+
+/**
+ * Verificar la firma `signature` de una petición de App Proxy
+ * Shopify ordena los parámetros (sin `signature`), los concatena como `clave=valor`
+ * (valores repetidos unidos con coma) y firma con HMAC-SHA256 usando el secreto de la app.
+ * @param {string} queryString - Query string crudo de la petición
+ * @param {string} secreto - SHOPIFY_API_SECRET
+ */
+export function verificarFirmaAppProxy(queryString, secreto) {
+  const params = new URLSearchParams(queryString);
+  const firma = params.get("signature");
+  if (!firma || !secreto) return false;
+
+  const agrupados = {};
+  for (const [clave, valor] of params.entries()) {
+    if (clave === "signature") continue;
+    (agrupados[clave] ||= []).push(valor);
+  }
+
+  const mensaje = Object.keys(agrupados)
+    .sort()
+    .map(clave => `${clave}=${agrupados[clave].join(",")}`)
+    .join("");
+
+  const esperada = crypto.createHmac("sha256", secreto).update(mensaje).digest("hex");
+
+  const a = Buffer.from(esperada, "utf8");
+  const b = Buffer.from(firma, "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verificar firma y antigüedad de una petición de App Proxy
+ * Una URL firmada sigue siendo válida para el HMAC aunque sea vieja: sin el timestamp
+ * se podría reutilizar indefinidamente.
+ * @returns {string} - "valida" | "sin_firma" | "invalida" | "expirada"
+ */
+export function verificarPeticionAppProxy(req) {
+  const queryString = req.originalUrl.split("?")[1] || "";
+
+  if (!new URLSearchParams(queryString).has("signature")) return "sin_firma";
+  if (!verificarFirmaAppProxy(queryString, process.env.SHOPIFY_API_SECRET)) return "invalida";
+
+  const timestamp = parseInt(req.query.timestamp);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > MAX_EDAD_SEG) return "expirada";
+
+  return "valida";
+}
+
+/**
+ * ¿El identificador pedido (código o email) corresponde al cliente vinculado?
+ */
+function perteneceACliente(identificador, cliente) {
+  const valor = identificador?.toString().trim().toLowerCase();
+  if (!valor) return false;
+
+  return valor === cliente.codigo?.toString().trim().toLowerCase() ||
+    cliente.emails.includes(valor);
+}
+
+/**
+ * Middleware: proteger una ruta de cliente detrás de Shopify App Proxy
+ * @param {Function|null} obtenerIdentificador - (req) => código o email que pide la ruta;
+ *   null si la ruta no es de un solo cliente (queda prohibida para compradores)
+ */
+export function protegerCliente(obtenerIdentificador) {
+  return async (req, res, next) => {
+    // Las herramientas internas se identifican con API key (ver middleware/apiKeys.js)
+    if (MODO === "desactivado" || req.apiKey) return next();
+
+    const verificacion = verificarPeticionAppProxy(req);
+
+    if (verificacion === "sin_firma") {
+      if (MODO === "opcional") return next();
+      return responderError(req, res, new ErrorApi("NO_AUTENTICADO", null, {
+        clave: "error.app_proxy_requerido",
+        titulo: "titulo.firma_requerida"
+      }));
+    }
+
+    if (verificacion === "invalida") {
+      logger.warn("Firma de App Proxy inválida", { path: req.path });
+      return responderError(req, res, new ErrorApi("NO_AUTENTICADO", null, {
+        clave: "error.firma_invalida",
+        titulo: "titulo.firma_invalida"
+      }));
+    }
+
+    if (verificacion === "expirada") {
+      return responderError(req, res, new ErrorApi("NO_AUTENTICADO", null, {
+        clave: "error.firma_expirada",
+        titulo: "titulo.firma_expirada"
+      }));
+    }
+
+    const customerId = req.query.logged_in_customer_id;
+    if (!customerId) {
+      return responderError(req, res, new ErrorApi("NO_AUTENTICADO", null, {
+        clave: "error.sesion_requerida",
+        titulo: "titulo.sesion_requerida"
+      }));
+    }
+
+    if (!obtenerIdentificador) {
+      return responderError(req, res, new ErrorApi("ACCESO_DENEGADO", null, { clave: "error.ruta_no_disponible_tienda" }));
+    }
+
+    try {
+      const cliente = await resolverClienteShopify(customerId, req.query.shop);
+
+      if (!cliente) {
+        return responderError(req, res, new ErrorApi("ACCESO_DENEGADO", null, {
+          clave: "error.cliente_no_vinculado",
+          titulo: "titulo.cliente_no_vinculado"
+        }));
+      }
+
+      const identificador = obtenerIdentificador(req);
+      if (!perteneceACliente(identificador, cliente)) {
+        logger.warn("Cliente Shopify intentó acceder a otro cliente", {
+          shopify_customer: customerId,
+          identificador
+        });
+        return responderError(req, res, new ErrorApi("ACCESO_DENEGADO", null, { clave: "error.solo_cuenta_propia" }));
+      }
+
+      req.shopify = {
+        shop: req.query.shop,
+        customerId,
+        cliente
+      };
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Modo configurado (para health/estadísticas)
+ */
+export function getAppProxyConfig() {
+  return {
+    modo: MODO,
+    secreto_configurado: !!process.env.SHOPIFY_API_SECRET,
+    max_edad_segundos: MAX_EDAD_SEG
+  };
+}
@@ -0,0 +1,218 @@
+// middleware/validacion.js - VALIDACIÓN DE PARÁMETROS Y CUERPO CONTRA EL ESQUEMA DE LA RUTA
+// Cada ruta declara su esquema con validar({...}); el mismo esquema valida la petición
+// y alimenta el documento OpenAPI (ver services/openapi.js).
+//
+// Esquemas: subconjunto de JSON Schema (type, enum, minimum, maximum, minLength, maxLength,
+// pattern, format: email|date, items, minItems, maxItems, properties, required,
+// additionalProperties). Los parámetros de ruta y query llegan como texto y se convierten
+// según `type`; los valores convertidos quedan en req.validado.{params,query,body}.
+// Cada error lleva una `regla` estable y su `mensaje` en el idioma de la petición.
+import { ErrorApi, responderError } from "../services/errores.js";
+import { traducir } from "../services/mensajes.js";
+
+const FORMATOS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/
+};
+
+/**
+ * Parámetros de query compartidos por varias rutas
+ */
+export const PARAMETROS = {
+  pagina: { type: "integer", minimum: 1, default: 1, description: "Número de página" },
+  limite: { type: "integer", minimum: 1, maximum: 200, default: 50, description: "Elementos por página" },
+  timeout: {
+    type: "integer",
+    minimum: 1000,
+    maximum: 120000,
+    default: 30000,
+    description: "Tiempo máximo por llamada a Rodin (ms)"
+  },
+  sku: { type: "string", maxLength: 64, description: "Prefijo de SKU" },
+  descripcion: { type: "string", maxLength: 200, description: "Palabras en el nombre del producto" },
+  moneda: { type: "string", pattern: "^[A-Za-z]{3}$", description: "Código de moneda (MXN, USD)" }
+};
+
+// ============================================
+// VALIDACIÓN DE VALORES
+// ============================================
+
+/**
+ * Convertir un parámetro de texto (ruta o query) al tipo del esquema
+ * @returns {{ valor, regla }} - regla indica por qué no se pudo convertir
+ */
+function convertirParametro(texto, esquema) {
+  if (Array.isArray(texto)) return { regla: "repetido" };
+  if (typeof texto !== "string") return { regla: "formato_no_soportado" };
+
+  switch (esquema.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(texto.trim())) return { regla: "entero" };
+      return { valor: parseInt(texto, 10) };
+    case "number":
+      if (texto.trim() === "" || !Number.isFinite(Number(texto))) return { regla: "numero" };
+      return { valor: Number(texto) };
+    case "boolean":
+      if (!["true", "false"].includes(texto)) return { regla: "booleano" };
+      return { valor: texto === "true" };
+    default:
+      return { valor: texto };
+  }
+}
+
+/**
+ * Validar un valor ya tipado contra su esquema
+ * @returns {Array<Object>} - [{ campo, regla, valores }] (vacío si es válido); ver mensajeValidacion()
+ */
+export function validarValor(valor, esquema, campo) {
+  const errores = [];
+  const error = (regla, valores = {}, subcampo = campo) => errores.push({ campo: subcampo, regla, valores });
+
+  if (!tieneTipo(valor, esquema.type)) {
+    error("tipo", { tipo: esquema.type });
+    return errores;
+  }
+
+  if (esquema.enum && !esquema.enum.includes(valor)) error("enum", { opciones: esquema.enum.join(", ") });
+  if (esquema.minimum !== undefined && valor < esquema.minimum) error("minimo", { minimo: esquema.minimum });
+  if (esquema.maximum !== undefined && valor > esquema.maximum) error("maximo", { maximo: esquema.maximum });
+
+  if (typeof valor === "string") {
+    if (esquema.minLength !== undefined && valor.trim().length < esquema.minLength) {
+      if (esquema.minLength === 1) error("vacio");
+      else error("min_longitud", { minimo: esquema.minLength });
+    }
+    if (esquema.maxLength !== undefined && valor.length > esquema.maxLength) error("max_longitud", { maximo: esquema.maxLength });
+    if (esquema.pattern && !new RegExp(esquema.pattern).test(valor)) error("patron", { patron: esquema.pattern });
+    if (FORMATOS[esquema.format] && !FORMATOS[esquema.format].test(valor)) error(`formato_${esquema.format}`);
+  }
+
+  if (Array.isArray(valor)) {
+    if (esquema.minItems !== undefined && valor.length < esquema.minItems) error("min_elementos", { minimo: esquema.minItems });
+    if (esquema.maxItems !== undefined && valor.length > esquema.maxItems) error("max_elementos", { maximo: esquema.maxItems });
+    if (esquema.items) {
+      valor.forEach((item, i) => errores.push(...validarValor(item, esquema.items, `${campo}[${i}]`)));
+    }
+  }
+
+  if (esquema.type === "object") {
+    for (const requerido of esquema.required || []) {
+      if (valor[requerido] === undefined || valor[requerido] === null) error("requerido", {}, `${campo}.${requerido}`);
+    }
+    for (const [clave, subvalor] of Object.entries(valor)) {
+      const subesquema = esquema.properties?.[clave];
+      if (subesquema) {
+        if (subvalor !== undefined && subvalor !== null) errores.push(...validarValor(subvalor, subesquema, `${campo}.${clave}`));
+      } else if (esquema.additionalProperties === false) {
+        error("no_permitido", {}, `${campo}.${clave}`);
+      }
+    }
+  }
+
+  return errores;
+}
+
+/**
+ * Texto de un error de validación en el idioma pedido
+ */
+export function mensajeValidacion(idioma, { regla, valores }) {
+  return traducir(idioma, `validacion.${regla}`, valores);
+}
+
+function tieneTipo(valor, tipo) {
+  switch (tipo) {
+    case "integer": return Number.isInteger(valor);
+    case "number": return typeof valor === "number" && Number.isFinite(valor);
+    case "string": return typeof valor === "string";
+    case "boolean": return typeof valor === "boolean";
+    case "array": return Array.isArray(valor);
+    case "object": return !!valor && typeof valor === "object" && !Array.isArray(valor);
+    default: return true;
+  }
+}
+
+/**
+ * Helper: Validar los parámetros de una ubicación (params o query)
+ * Los parámetros no declarados se ignoran (Shopify App Proxy agrega los suyos).
+ */
+function validarParametros(entrada, definiciones = {}, requeridos = [], ubicacion) {
+  const valores = {};
+  const errores = [];
+
+  for (const [nombre, esquema] of Object.entries(definiciones)) {
+    const texto = entrada[nombre];
+
+    if (texto === undefined || texto === "") {
+      if (requeridos.includes(nombre)) errores.push({ ubicacion, campo: nombre, regla: "requerido", valores: {} });
+      continue;
+    }
+
+    const { valor, regla } = convertirParametro(texto, esquema);
+    if (regla) {
+      errores.push({ ubicacion, campo: nombre, regla, valores: {} });
+      continue;
+    }
+
+    const invalidos = validarValor(valor, esquema, nombre);
+    invalidos.forEach(e => errores.push({ ubicacion, ...e }));
+    if (invalidos.length === 0) valores[nombre] = valor;
+  }
+
+  return { valores, errores };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Middleware de ruta: validar la petición y documentar la ruta
+ * @param {Object} esquema
+ * @param {string} esquema.resumen - Título corto (OpenAPI summary)
+ * @param {string} esquema.descripcion - Detalle (OpenAPI description)
+ * @param {string} esquema.etiqueta - Grupo en la documentación
+ * @param {string} esquema.scope - Scope de API key requerido (solo documentación)
+ * @param {Object} esquema.params - { nombre: esquema } de los parámetros de ruta (todos requeridos)
+ * @param {Object} esquema.query - { nombre: esquema } de los parámetros de query
+ * @param {Array<string>} esquema.queryRequeridos - Parámetros de query obligatorios
+ * @param {Object} esquema.body - Esquema del cuerpo JSON
+ * @param {Object} esquema.respuestas - { status: descripción } adicionales a 200
+ */
+export function validar(esquema) {
+  const middleware = (req, res, next) => {
+    const params = validarParametros(req.params, esquema.params, Object.keys(esquema.params || {}), "params");
+    const query = validarParametros(req.query, esquema.query, esquema.queryRequeridos || [], "query");
+    const errores = [...params.errores, ...query.errores];
+
+    let body;
+    if (esquema.body) {
+      if (req.body === undefined || (typeof req.body === "object" && Object.keys(req.body).length === 0 && !req.is("application/json"))) {
+        errores.push({ ubicacion: "body", campo: "body", regla: "cuerpo_requerido", valores: {} });
+      } else {
+        validarValor(req.body, esquema.body, "body").forEach(e => errores.push({ ubicacion: "body", ...e }));
+        body = req.body;
+      }
+    }
+
+    if (errores.length > 0) {
+      const detalle = errores.map(({ ubicacion, campo, regla, valores }) => ({
+        ubicacion,
+        campo,
+        regla,
+        mensaje: mensajeValidacion(req.idioma, { regla, valores })
+      }));
+      const resumen = detalle.map(e => `${e.campo} ${e.mensaje}`).join("; ");
+
+      return responderError(req, res, new ErrorApi("SOLICITUD_INVALIDA", null, {
+        clave: "error.parametros_invalidos",
+        valores: { detalle: resumen }
+      }), { errores_validacion: detalle });
+    }
+
+    req.validado = { params: params.valores, query: query.valores, body };
+    next();
+  };
+
+  middleware.esquema = esquema;
+  return middleware;
+}
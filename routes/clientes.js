@@ -1,40 +1,74 @@
 import express from "express";
 import { obtenerClientes, obtenerClientePorEmail } from "../services/clientesService.js";
+import { modeloCliente } from "../services/modelosRodin.js";
+import { protegerCliente } from "../middleware/shopifyAppProxy.js";
+import { requiereScope, SCOPES } from "../middleware/apiKeys.js";
+import { logger } from "../services/logger.js";
+import { ErrorApi, responderError } from "../services/errores.js";
+import { validar, PARAMETROS } from "../middleware/validacion.js";
 
 const router = express.Router();
 
+// Acceso a datos de clientes: comprador vía App Proxy (solo su cuenta) o API key con scope
+const accesoClientes = (obtenerIdentificador) => [
+  protegerCliente(obtenerIdentificador),
+  requiereScope(SCOPES.CLIENTES_LEER, obtenerIdentificador)
+];
+
 // === EXISTENTE ===
-router.get("/clientes", async (req, res) => {
-  const { pagina, cliente, fecha } = req.query;
+const esquemaClientes = validar({
+  resumen: "Clientes de Rodin",
+  descripcion: "Una página de clientes en el modelo canónico, opcionalmente filtrada por código o fecha de modificación.",
+  etiqueta: "Clientes",
+  scope: SCOPES.CLIENTES_LEER,
+  query: {
+    pagina: PARAMETROS.pagina,
+    cliente: { type: "string", maxLength: 64, description: "Código de cliente Rodin" },
+    fecha: { type: "string", format: "date", description: "Solo clientes modificados desde esta fecha" }
+  }
+});
+
+router.get("/clientes", protegerCliente(null), requiereScope(SCOPES.CLIENTES_LEER, req => req.query.cliente), esquemaClientes, async (req, res) => {
+  const { pagina, cliente, fecha } = req.validado.query;
 
   try {
-    const clientes = await obtenerClientes({
+    const { clientes, invalidos } = await obtenerClientes({
       pagina: pagina || 1,
       cliente: cliente || null,
       fecha: fecha || null
     });
 
-    res.json({ clientes });
+    res.json({ clientes, ...(invalidos > 0 && { registros_invalidos: invalidos }) });
   } catch (error) {
-    res.status(500).json({ error: "Error obteniendo clientes" });
+    logger.error("Error en /clientes", { error });
+    responderError(req, res, error);
   }
 });
 
 // === NUEVO: buscar por email ===
-router.get("/clientes/by-email/:email", async (req, res) => {
+const esquemaPorEmail = validar({
+  resumen: "Cliente por email",
+  descripcion: "Busca el cliente por cualquiera de sus correos de contacto en el índice de clientes.",
+  etiqueta: "Clientes",
+  scope: SCOPES.CLIENTES_LEER,
+  params: { email: { type: "string", format: "email", maxLength: 254, example: "cliente@empresa.com" } },
+  respuestas: { 404: "No hay cliente con ese email" }
+});
+
+router.get("/clientes/by-email/:email", accesoClientes(req => req.params.email), esquemaPorEmail, async (req, res) => {
   const { email } = req.params;
 
   try {
     const cliente = await obtenerClientePorEmail(email);
 
     if (!cliente) {
-      return res.status(404).json({ message: "Cliente no encontrado" });
+      return responderError(req, res, new ErrorApi("CLIENTE_NO_ENCONTRADO", null, { clave: "error.email_no_encontrado", valores: { email } }));
     }
 
-    res.json({ cliente });
+    res.json({ cliente: modeloCliente(cliente, email) });
   } catch (error) {
-    console.error("Error en /clientes/by-email:", error);
-    res.status(500).json({ error: "Error buscando cliente por email" });
+    logger.error("Error en /clientes/by-email", { error });
+    responderError(req, res, error);
   }
 });
 
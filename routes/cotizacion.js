@@ -0,0 +1,99 @@
+import express from "express";
+import { crearCotizacion, obtenerCotizacion } from "../services/cotizacionService.js";
+import { protegerCliente } from "../middleware/shopifyAppProxy.js";
+import { requiereScope, SCOPES } from "../middleware/apiKeys.js";
+import { validar } from "../middleware/validacion.js";
+import { logger } from "../services/logger.js";
+import { ErrorApi, responderError } from "../services/errores.js";
+
+const router = express.Router();
+
+// Mismo acceso que los precios: comprador vía App Proxy (solo su cuenta) o API key con scope
+const accesoCotizacion = (obtenerIdentificador) => [
+  protegerCliente(obtenerIdentificador),
+  requiereScope(SCOPES.PRECIOS_LEER, obtenerIdentificador)
+];
+
+/**
+ * Middleware: cargar la cotización pedida en req.cotizacion, o responder 404
+ * Va antes de los permisos: sin cotización no hay dueño contra el cual comprobar el acceso.
+ */
+function cargarCotizacion(req, res, next) {
+  req.cotizacion = obtenerCotizacion(req.validado.params.id);
+
+  if (!req.cotizacion) {
+    return responderError(req, res, new ErrorApi("COTIZACION_NO_ENCONTRADA", null, {
+      clave: "error.cotizacion_no_encontrada",
+      valores: { id: req.params.id }
+    }));
+  }
+  next();
+}
+
+const esquemaCrear = validar({
+  resumen: "Cotizar un carrito",
+  descripcion: "Cada línea al precio final del cliente en Rodin (ya con su descuento, igual que /completo); " +
+    "subtotal a precio de lista, descuentos, impuestos y total. Los SKUs que no están en la lista se informan en lineas_sin_precio.",
+  etiqueta: "Cotización",
+  scope: SCOPES.PRECIOS_LEER,
+  body: {
+    type: "object",
+    required: ["cliente", "lineas"],
+    additionalProperties: false,
+    properties: {
+      cliente: { type: "string", minLength: 1, maxLength: 254, description: "Código de cliente Rodin o email", example: "K1024" },
+      lineas: {
+        type: "array",
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: "object",
+          required: ["sku", "cantidad"],
+          additionalProperties: false,
+          properties: {
+            sku: { type: "string", minLength: 1, maxLength: 64, example: "TOR-101" },
+            cantidad: { type: "integer", minimum: 1, maximum: 100000, example: 10 }
+          }
+        }
+      }
+    }
+  },
+  respuestas: { 201: "Cotización creada", 404: "Cliente no encontrado" }
+});
+
+/**
+ * POST /api/cotizacion
+ * Cotizar SKUs y cantidades para un cliente; la cotización se puede volver a consultar hasta que expira
+ */
+router.post("/cotizacion", accesoCotizacion(req => req.body?.cliente), esquemaCrear, async (req, res) => {
+  const { cliente, lineas } = req.validado.body;
+
+  try {
+    const cotizacion = await crearCotizacion({ cliente, lineas });
+
+    res.status(201)
+      .location(`${req.baseUrl}/cotizacion/${cotizacion.id}`)
+      .json({ success: true, cotizacion });
+  } catch (error) {
+    logger.error("Error en cotizacion", { cliente, error });
+    responderError(req, res, error, { cliente });
+  }
+});
+
+const esquemaConsultar = validar({
+  resumen: "Consultar una cotización",
+  descripcion: "Devuelve la cotización tal como se calculó mientras no haya expirado (ver expira_en).",
+  etiqueta: "Cotización",
+  scope: SCOPES.PRECIOS_LEER,
+  params: { id: { type: "string", pattern: "^cot_[0-9a-f-]{36}$", example: "cot_0b6a3c52-2f0e-4d7e-9a51-5d1f4c2b9e10" } },
+  respuestas: { 404: "La cotización no existe o ya expiró" }
+});
+
+/**
+ * GET /api/cotizacion/:id
+ */
+router.get("/cotizacion/:id", esquemaConsultar, cargarCotizacion, accesoCotizacion(req => req.cotizacion.cliente.codigo), (req, res) => {
+  res.json({ success: true, cotizacion: req.cotizacion });
+});
+
+export default router;
@@ -2,59 +2,281 @@
 import express from "express";
 import { 
   obtenerListaPreciosPorCliente,
-  obtenerListaPreciosPorEmail
+  obtenerListaPreciosPorEmail,
+  buscarProductosEnLista,
+  obtenerCambiosListaPrecios,
+  marcaUltimaActualizacion
 } from "../services/listaPreciosService.js";
+import { getIndiceClientesStats, obtenerClientePorEmail } from "../services/clientesService.js";
+import { modeloCliente } from "../services/modelosRodin.js";
+import { crearCacheStorage } from "../services/cacheStorage.js";
+import { PrecalentadorCache } from "../services/precalentamiento.js";
+import { PeticionesEnCurso } from "../services/peticionesEnCurso.js";
+import { getColaRodinStats } from "../services/colaRodin.js";
+import { getCotizacionesStats } from "../services/cotizacionService.js";
+import { politicaCache, calcularVersion, responderConValidacion } from "../middleware/cacheHttp.js";
+import { protegerCliente } from "../middleware/shopifyAppProxy.js";
+import { requiereScope, SCOPES } from "../middleware/apiKeys.js";
+import { logger } from "../services/logger.js";
+import { ErrorApi, responderError, mensajeDeError } from "../services/errores.js";
+import { traducir } from "../services/mensajes.js";
+import { validar, PARAMETROS } from "../middleware/validacion.js";
+import { cacheHits, cacheMisses, cacheEvictions, registrarColector } from "../services/metricas.js";
 
 const router = express.Router();
 
+// Acceso a precios de un cliente: comprador vía App Proxy (solo su cuenta) o API key con scope
+const accesoPrecios = (obtenerIdentificador) => [
+  protegerCliente(obtenerIdentificador),
+  requiereScope(SCOPES.PRECIOS_LEER, obtenerIdentificador)
+];
+
+// Esquemas compartidos de parámetros (validación + documento OpenAPI)
+const CLIENTE_O_EMAIL = {
+  type: "string",
+  minLength: 1,
+  maxLength: 254,
+  description: "Código de cliente Rodin o email",
+  example: "K1024"
+};
+const FILTROS_LISTA = {
+  sku: PARAMETROS.sku,
+  descripcion: PARAMETROS.descripcion,
+  moneda: PARAMETROS.moneda,
+  pagina: PARAMETROS.pagina,
+  limite: PARAMETROS.limite,
+  timeout: PARAMETROS.timeout
+};
+
+// Cada cuánto se descarta la lista y se recarga completa en vez de pedir solo cambios
+// (los cambios no informan artículos eliminados de la lista)
+const RECARGA_COMPLETA_MS = (parseInt(process.env.CACHE_RECARGA_COMPLETA_HORAS) || 24) * 60 * 60 * 1000;
+
+// Modo degradado (stale-if-error): si Rodin falla, servir la última lista conocida
+// hasta STALE_IF_ERROR_GRACIA_HORAS después de expirar, solo en los endpoints listados
+const STALE_IF_ERROR = {
+  graciaMs: (parseInt(process.env.STALE_IF_ERROR_GRACIA_HORAS) || 24) * 60 * 60 * 1000,
+  endpoints: (process.env.STALE_IF_ERROR_ENDPOINTS ?? "completo,visibles,search,email")
+    .split(",")
+    .map(e => e.trim())
+    .filter(Boolean)
+};
+
 // ============================================
 // CACHE INTELIGENTE POR CLIENTE
 // ============================================
 class ClienteCache {
-  constructor() {
+  constructor(storage) {
     this.cache = new Map();
     this.stats = new Map();
+    this.storage = storage; // Persistencia (ver services/cacheStorage.js)
+    this.statsPendientes = null;
+    this.escriturasPendientes = new Map(); // clienteId → timer (ver persistirAgrupado)
     this.MAX_CACHE_SIZE = 200; // 200 clientes máximo
     this.CACHE_TTL = 6 * 60 * 60 * 1000; // 6 horas (ajustable)
+    // Las entradas expiradas se conservan para sincronizar cambios y para stale-if-error
+    this.EDAD_MAXIMA = Math.max(RECARGA_COMPLETA_MS, this.CACHE_TTL + STALE_IF_ERROR.graciaMs);
+  }
+
+  // Cargar entradas y estadísticas guardadas (descarta las expiradas)
+  async cargar() {
+    const [entradas, stats] = await Promise.all([
+      this.storage.cargar(),
+      this.storage.cargarStats()
+    ]);
+
+    stats.forEach(([clienteId, clienteStats]) => this.stats.set(clienteId, clienteStats));
+
+    let cargadas = 0;
+    for (const { clienteId, item } of entradas) {
+      // Lo guardado mientras se leía el disco es más reciente que la copia del disco
+      const actual = this.cache.get(clienteId);
+      if (actual && actual.timestamp >= item.timestamp) continue;
+
+      // Las expiradas recientes se conservan para sincronizarlas por cambios
+      if (Date.now() - item.timestamp > this.EDAD_MAXIMA || this.cache.size >= this.MAX_CACHE_SIZE) {
+        this.persistir(clienteId, null);
+        continue;
+      }
+      this.cache.set(clienteId, item);
+      cargadas++;
+    }
+
+    logger.info("Cache restaurado", { clientes: cargadas, almacenamiento: this.storage.describir().tipo });
+  }
+
+  // Escribir (o eliminar con item = null) una entrada en el almacenamiento
+  persistir(clienteId, item) {
+    // Esta escritura reemplaza a la agrupada que estuviera pendiente
+    const pendiente = this.escriturasPendientes.get(clienteId);
+    if (pendiente) {
+      clearTimeout(pendiente);
+      this.escriturasPendientes.delete(clienteId);
+    }
+
+    const operacion = item
+      ? this.storage.guardar(clienteId, item)
+      : this.storage.eliminar(clienteId);
+
+    Promise.resolve(operacion).catch(error => {
+      logger.error("Error persistiendo cache", { cliente: clienteId, error });
+    });
+  }
+
+  // Guardar una entrada que cambia seguido (mergePrecios) agrupando sus escrituras
+  persistirAgrupado(clienteId) {
+    if (this.escriturasPendientes.has(clienteId)) return;
+
+    const timer = setTimeout(() => {
+      this.escriturasPendientes.delete(clienteId);
+      const item = this.cache.get(clienteId);
+      if (item) this.persistir(clienteId, item);
+    }, 10 * 1000);
+    timer.unref();
+    this.escriturasPendientes.set(clienteId, timer);
+  }
+
+  // Guardar estadísticas agrupando escrituras (se actualizan en cada hit)
+  persistirStats() {
+    if (this.statsPendientes) return;
+
+    this.statsPendientes = setTimeout(() => {
+      this.statsPendientes = null;
+      Promise.resolve(this.storage.guardarStats(Array.from(this.stats.entries()))).catch(error => {
+        logger.error("Error persistiendo estadísticas de cache", { error });
+      });
+    }, 30 * 1000);
+    this.statsPendientes.unref();
   }
 
   // Obtener datos de un cliente
   get(clienteId) {
     const item = this.cache.get(clienteId);
-    if (!item) return null;
+    if (!item) {
+      cacheMisses.inc();
+      return null;
+    }
 
+    // Expirado: se conserva para sincronizarlo por cambios (ver getExpirado)
     const age = Date.now() - item.timestamp;
     if (age > this.CACHE_TTL) {
-      this.cache.delete(clienteId);
+      cacheMisses.inc();
       return null;
     }
 
     // Actualizar estadísticas
+    cacheHits.inc();
     this.updateStats(clienteId, 'hit');
     return item.data;
   }
 
+  // Obtener una entrada ya expirada (base para la sincronización incremental)
+  getExpirado(clienteId) {
+    const item = this.cache.get(clienteId);
+    if (!item || Date.now() - item.timestamp <= this.CACHE_TTL) return null;
+    return item.data;
+  }
+
+  // Entrada (vigente o vencida dentro de la gracia) para servir cuando Rodin falla
+  getObsoleto(clienteId, graciaMs) {
+    const item = this.cache.get(clienteId);
+    if (!item || item.data?.parcial) return null;
+
+    const age = Date.now() - item.timestamp;
+    if (age > this.CACHE_TTL + graciaMs) return null;
+
+    return { data: item.data, age };
+  }
+
+  // Eliminar entradas expiradas hace tanto que ya conviene recargarlas completas
+  purgarExpirados(edadMaxima) {
+    let eliminados = 0;
+    for (const [clienteId, item] of this.cache.entries()) {
+      if (Date.now() - item.timestamp > edadMaxima) {
+        this.cache.delete(clienteId);
+        this.persistir(clienteId, null);
+        eliminados++;
+      }
+    }
+
+    if (eliminados > 0) {
+      cacheEvictions.inc({ reason: "expiracion" }, eliminados);
+      logger.info("Clientes expirados eliminados del cache", { eliminados });
+    }
+  }
+
   // Guardar datos de un cliente
   set(clienteId, data) {
-    // Limpiar si el cache está lleno
-    if (this.cache.size >= this.MAX_CACHE_SIZE) {
+    // Limpiar si el cache está lleno (reemplazar una entrada no ocupa lugar nuevo)
+    if (this.cache.size >= this.MAX_CACHE_SIZE && !this.cache.has(clienteId)) {
+      this.purgarExpirados(this.CACHE_TTL);
+    }
+    if (this.cache.size >= this.MAX_CACHE_SIZE && !this.cache.has(clienteId)) {
       this.cleanup();
     }
 
-    this.cache.set(clienteId, {
+    const item = {
       data: data,
       timestamp: Date.now(),
       size: data.lista_precios?.length || 0
-    });
+    };
+    this.cache.set(clienteId, item);
+    this.persistir(clienteId, item);
 
     this.updateStats(clienteId, 'set');
-    console.log(`💾 Cache actualizado para ${clienteId} (${this.cache.size}/${this.MAX_CACHE_SIZE} clientes)`);
+    logger.debug("Cache actualizado", { cliente: clienteId, clientes: this.cache.size, max: this.MAX_CACHE_SIZE });
+  }
+
+  // Agregar precios sueltos (p. ej. de /visibles) sin renovar el TTL
+  // Si el cliente no tiene entrada, se crea una entrada parcial
+  mergePrecios(clienteId, optimizedData) {
+    const item = this.cache.get(clienteId);
+
+    if (!item) {
+      this.set(clienteId, {
+        lista_precios: optimizedData.lista_precios,
+        mapa_precios: optimizedData.mapa_precios,
+        total_productos: optimizedData.lista_precios.length,
+        parcial: true,
+        metadata: {
+          timestamp_obtencion: new Date().toISOString(),
+          formato_optimizado: "optimizado",
+          origen: "visibles"
+        }
+      });
+      return;
+    }
+
+    // Los precios sueltos van en formato optimizado: una lista en formato completo ya tiene
+    // todos los SKUs y un mapa parcial la haría pasar por optimizada
+    const formato = item.data.metadata?.formato_optimizado || "optimizado";
+    if (!item.data.parcial && formato !== "optimizado") return;
+
+    // Nuevo objeto (no mutar): las versiones/ETags se calculan por objeto de datos
+    const data = {
+      ...item.data,
+      mapa_precios: { ...(item.data.mapa_precios || {}), ...optimizedData.mapa_precios }
+    };
+
+    // Solo las entradas parciales crecen en lista; las completas ya tienen su lista
+    if (data.parcial) {
+      const nuevos = optimizedData.lista_precios.filter(p =>
+        !data.lista_precios.some(existente => existente.s === p.s)
+      );
+      data.lista_precios = [...data.lista_precios, ...nuevos];
+      data.total_productos = data.lista_precios.length;
+      item.size = data.lista_precios.length;
+    }
+    item.data = data;
+
+    this.persistirAgrupado(clienteId);
   }
 
   // Eliminar datos de un cliente
   delete(clienteId) {
     this.cache.delete(clienteId);
-    console.log(`🧹 Cache eliminado para ${clienteId}`);
+    this.persistir(clienteId, null);
+    logger.info("Cache eliminado", { cliente: clienteId });
   }
 
   // Limpiar cache automáticamente
@@ -77,9 +299,11 @@ class ClienteCache {
     const toDelete = Math.ceil(entries.length * 0.2);
     for (let i = 0; i < toDelete; i++) {
       this.cache.delete(entries[i][0]);
+      this.persistir(entries[i][0], null);
     }
 
-    console.log(`🧹 Limpieza automática: ${toDelete} clientes eliminados`);
+    if (toDelete > 0) cacheEvictions.inc({ reason: "capacidad" }, toDelete);
+    logger.info("Limpieza automática del cache", { eliminados: toDelete });
   }
 
   // Actualizar estadísticas
@@ -93,6 +317,8 @@ class ClienteCache {
 
     if (action === 'hit') stats.hits++;
     if (action === 'set') stats.sets++;
+
+    this.persistirStats();
   }
 
   // Obtener estadísticas del cache
@@ -104,16 +330,56 @@ class ClienteCache {
       clientes_mas_activos: Array.from(this.stats.entries())
         .sort((a, b) => b[1].hits - a[1].hits)
         .slice(0, 5)
-        .map(([cliente, stats]) => ({ cliente, hits: stats.hits }))
+        .map(([cliente, stats]) => ({ cliente, hits: stats.hits })),
+      almacenamiento: this.storage.describir()
     };
   }
 }
 
-const clienteCache = new ClienteCache();
+const clienteCache = new ClienteCache(crearCacheStorage());
+
+registrarColector(() => [{
+  nombre: "cliente_cache_entries",
+  tipo: "gauge",
+  ayuda: "Clientes en el cache (vigentes, expirados conservados y parciales)",
+  muestras: [{ valor: clienteCache.cache.size }]
+}, {
+  nombre: "cliente_cache_max_entries",
+  tipo: "gauge",
+  ayuda: "Capacidad máxima del cache de clientes",
+  muestras: [{ valor: clienteCache.MAX_CACHE_SIZE }]
+}, {
+  nombre: "cliente_cache_products",
+  tipo: "gauge",
+  ayuda: "Productos guardados en el cache entre todos los clientes",
+  muestras: [{ valor: Array.from(clienteCache.cache.values()).reduce((sum, item) => sum + (item.size || 0), 0) }]
+}]);
+
+clienteCache.cargar().catch(error => {
+  logger.error("Error restaurando cache de clientes", { error });
+});
+
+// Refresco en segundo plano de clientes activos (y stale-while-revalidate)
+const precalentador = new PrecalentadorCache({
+  cache: clienteCache,
+  refrescar: (clienteId) => refrescarCliente(clienteId)
+});
+precalentador.iniciar();
+
+// Descargas completas y sincronizaciones en curso (compartidas entre peticiones concurrentes)
+const cargasEnCurso = new PeticionesEnCurso("lista_completa");
+const sincronizacionesEnCurso = new PeticionesEnCurso("sincronizacion_incremental");
+
+// SKUs consultados en paralelo a Rodin desde /visibles
+const VISIBLES_CONCURRENCIA = parseInt(process.env.VISIBLES_CONCURRENCIA) || 5;
 
 setInterval(() => {
-  clienteCache.cleanup();
-}, 60 * 60 * 1000);
+  clienteCache.purgarExpirados(clienteCache.EDAD_MAXIMA);
+  // Por capacidad solo se desaloja si el cache sigue lleno (no vaciar lo persistido y pre-calentado)
+  if (clienteCache.cache.size >= clienteCache.MAX_CACHE_SIZE) {
+    clienteCache.cleanup();
+  }
+}, 60 * 60 * 1000).unref();
 
 // ============================================
 // 1. ENDPOINT UNIVERSAL PARA TODOS LOS CLIENTES
@@ -123,42 +389,50 @@ setInterval(() => {
  * GET /api/lista-precios/completo/:codigoCliente
  * Obtener TODA la lista de precios para CUALQUIER cliente
  */
-router.get("/lista-precios/completo/:codigoCliente", async (req, res) => {
+const esquemaCompleto = validar({
+  resumen: "Lista de precios completa de un cliente",
+  descripcion: "Toda la lista de precios de cualquier cliente (código Rodin o email), desde cache o recorriendo Rodin.",
+  etiqueta: "Lista de precios",
+  scope: SCOPES.PRECIOS_LEER,
+  params: { codigoCliente: CLIENTE_O_EMAIL },
+  query: {
+    fuerza_actualizacion: { type: "boolean", default: false, description: "Ignorar el cache y consultar Rodin" },
+    formato: { type: "string", enum: ["optimizado", "completo"], default: "optimizado" },
+    timeout: PARAMETROS.timeout
+  },
+  respuestas: { 304: "Lista sin cambios (If-None-Match)" }
+});
+
+router.get("/lista-precios/completo/:codigoCliente", accesoPrecios(req => req.params.codigoCliente), esquemaCompleto, politicaCache("revalidar"), async (req, res) => {
   const { codigoCliente } = req.params;
-  const { 
-    fuerza_actualizacion = "false",
+  const {
+    fuerza_actualizacion = false,
     formato = "optimizado",
-    timeout = "30000"
-  } = req.query;
+    timeout = 30000
+  } = req.validado.query;
 
   try {
     // ============================================
-    // VALIDACIONES Y LOGGING
+    // LOGGING
     // ============================================
-    if (!codigoCliente || codigoCliente.trim() === "") {
-      return res.status(400).json({
-        error: "Código de cliente requerido",
-        ejemplo_valido: "/api/lista-precios/completo/K1024",
-        ejemplo_email: "/api/lista-precios/completo/cliente@empresa.com",
-        soporta: "Cualquier ID de cliente Rodin o email"
-      });
-    }
-
-    console.log(`🔄 [UNIVERSAL] Solicitando precios para cliente: ${codigoCliente}`);
+    logger.debug("Solicitando lista completa", { cliente: codigoCliente });
     
-    const clienteId = codigoCliente.trim();
+    const clienteId = claveCliente(codigoCliente);
     const esEmail = clienteId.includes('@');
     
     // ============================================
     // 1. VERIFICAR CACHE (si no se fuerza actualización)
     // ============================================
-    if (fuerza_actualizacion !== "true") {
-      const cachedData = clienteCache.get(clienteId);
-      
+    if (!fuerza_actualizacion) {
+      const cacheado = clienteCache.get(clienteId);
+      // Las entradas parciales (solo SKUs de /visibles) no sirven como lista completa
+      const cachedData = cacheado && !cacheado.parcial ? enFormato(cacheado, formato) : null;
+
       if (cachedData) {
-        console.log(`✅ Sirviendo ${cachedData.total_productos} productos desde cache para ${clienteId}`);
+        logger.debug("Sirviendo lista desde cache", { cliente: clienteId, productos: cachedData.total_productos });
+        const revalidando = revalidarSiPorExpirar(clienteId);
         
-        return res.json({
+        return responderConValidacion(req, res, validadoresLista(cachedData), () => ({
           success: true,
           cliente: clienteId,
           tipo_cliente: esEmail ? "por_email" : "por_codigo",
@@ -168,66 +442,85 @@ router.get("/lista-precios/completo/:codigoCliente", async (req, res) => {
             cache: {
               desde_cache: true,
               cacheado_desde: cachedData.metadata?.timestamp_obtencion || new Date().toISOString(),
-              tamaño_aproximado_kb: Math.round(JSON.stringify(cachedData).length / 1024)
+              tamaño_aproximado_kb: Math.round(JSON.stringify(cachedData).length / 1024),
+              revalidando_en_segundo_plano: revalidando
             }
           }
-        });
+        }));
+      }
+
+      // Entrada expirada: pedir solo los cambios desde la última sincronización
+      const sincronizado = enFormato(await sincronizarIncremental(clienteId, { timeout }), formato);
+
+      if (sincronizado) {
+        return responderConValidacion(req, res, validadoresLista(sincronizado), () => ({
+          success: true,
+          cliente: clienteId,
+          tipo_cliente: esEmail ? "por_email" : "por_codigo",
+          ...sincronizado,
+          metadata: {
+            ...sincronizado.metadata,
+            cache: {
+              desde_cache: false,
+              sincronizacion_incremental: true,
+              guardado_en_cache: true,
+              total_clientes_cacheados: clienteCache.cache.size
+            }
+          }
+        }));
       }
     } else {
-      console.log(`🔄 Fuerza actualización activada para ${clienteId}`);
+      logger.info("Actualización forzada", { cliente: clienteId });
     }
 
     // ============================================
     // 2. OBTENER DATOS FRESCOS DE RODIN
+    // Las peticiones concurrentes del mismo cliente comparten una sola descarga
     // ============================================
-    console.log(`📥 Obteniendo datos frescos de Rodin para ${clienteId}...`);
+    logger.debug("Obteniendo datos frescos de Rodin", { cliente: clienteId, por_email: esEmail });
     
     const startTime = Date.now();
-    let listaPrecios;
-    let totalProductos = 0;
+    let carga;
 
     try {
-      if (esEmail) {
-        // Obtener por email
-        console.log(`📧 Detectado email, obteniendo por correo...`);
-        listaPrecios = await obtenerListaPreciosPorEmail(clienteId, {
-          timeout: parseInt(timeout),
-          intentos: 2
-        });
-      } else {
-        // Obtener por código de cliente
-        console.log(`🏷️  Detectado código cliente, obteniendo por ID...`);
-        listaPrecios = await obtenerListaPreciosPorCliente(clienteId, {
-          modo: 'completo',
-          timeout: parseInt(timeout),
-          intentos: 3
-        });
-      }
-
-      // Normalizar respuesta
-      if (listaPrecios && Array.isArray(listaPrecios)) {
-        totalProductos = listaPrecios.length;
-      } else if (listaPrecios && listaPrecios.lista_precios) {
-        totalProductos = listaPrecios.lista_precios.length;
-        listaPrecios = listaPrecios.lista_precios;
-      } else {
-        totalProductos = 0;
-        listaPrecios = [];
-      }
+      carga = await cargarListaCompleta(clienteId, { timeout, formato });
 
     } catch (apiError) {
-      console.error(`❌ Error API Rodin para ${clienteId}:`, apiError.message);
+      logger.error("Error API Rodin", { cliente: clienteId, error: apiError });
+
+      // Modo degradado: la última lista completa conocida es mejor que solo la primera página
+      const obsoleto = obtenerObsoleto(clienteId, "completo", apiError);
+      if (obsoleto) obsoleto.data = enFormato(obsoleto.data, formato);
+      if (obsoleto?.data) {
+        return responderConValidacion(req, res, validadoresLista(obsoleto.data), () => ({
+          success: true,
+          cliente: clienteId,
+          tipo_cliente: esEmail ? "por_email" : "por_codigo",
+          ...obsoleto.data,
+          metadata: {
+            ...obsoleto.data.metadata,
+            cache: {
+              desde_cache: true,
+              cacheado_desde: obsoleto.data.metadata?.timestamp_obtencion
+            },
+            datos_obsoletos: obsoleto.info
+          }
+        }));
+      }
       
       // Intentar fallback: obtener solo primera página
       try {
-        console.log(`🔄 Intentando fallback (primera página)...`);
+        logger.info("Intentando fallback (primera página)", { cliente: clienteId });
         
+        let listaPrecios;
+        let codigoRodin = esEmail ? null : clienteId;
         if (esEmail) {
           listaPrecios = await obtenerListaPreciosPorEmail(clienteId, {
             pagina: 1,
             limite: 100,
             timeout: 10000
           });
+          codigoRodin = listaPrecios?.cliente?.codigo || null;
         } else {
           listaPrecios = await obtenerListaPreciosPorCliente(clienteId, {
             pagina: 1,
@@ -239,104 +532,232 @@ router.get("/lista-precios/completo/:codigoCliente", async (req, res) => {
         // Normalizar fallback
         if (listaPrecios && listaPrecios.lista_precios) {
           listaPrecios = listaPrecios.lista_precios;
-          totalProductos = listaPrecios.length;
         }
+        listaPrecios = Array.isArray(listaPrecios) ? listaPrecios : [];
+
+        carga = guardarListaCliente(clienteId, listaPrecios, {
+          formato,
+          codigoRodin,
+          infoPaginacion: { paginas_obtenidas: 1, productos_obtenidos: listaPrecios.length, motivo_fin: "fallback_primera_pagina" },
+          startTime
+        });
         
-        console.log(`⚠️  Fallback exitoso: ${totalProductos} productos (solo primera página)`);
+        logger.warn("Fallback exitoso (solo primera página)", { cliente: clienteId, productos: listaPrecios.length });
         
       } catch (fallbackError) {
-        console.error(`❌ Fallback también falló:`, fallbackError.message);
-        throw new Error(`No se pudieron obtener precios para ${clienteId}`);
+        logger.error("Fallback también falló", { cliente: clienteId, error: fallbackError });
+        // Se responde con la causa original (la del recorrido completo)
+        throw apiError;
       }
     }
 
+    const { data, optimizaciones, compartida } = carga;
+    const totalProductos = data.total_productos;
     const fetchTime = Date.now() - startTime;
-    
-    if (totalProductos === 0) {
-      console.warn(`⚠️  Cliente ${clienteId} tiene 0 productos en lista de precios`);
-    } else {
-      console.log(`✅ Obtenidos ${totalProductos} productos en ${fetchTime}ms`);
-    }
-
-    // ============================================
-    // 3. OPTIMIZAR DATOS PARA EL FRONTEND
-    // ============================================
-    const optimizedData = optimizePriceData(listaPrecios, formato);
-    
-    // ============================================
-    // 4. GUARDAR EN CACHE (si hay productos)
-    // ============================================
-    if (totalProductos > 0) {
-      const cacheData = {
-        lista_precios: optimizedData.lista_precios,
-        mapa_precios: optimizedData.mapa_precios,
-        total_productos: totalProductos,
-        metadata: {
-          timestamp_obtencion: new Date().toISOString(),
-          tiempo_obtencion_ms: fetchTime,
-          formato_optimizado: formato,
-          cliente_tipo: esEmail ? "email" : "codigo",
-          tiene_descuentos: optimizedData.tiene_descuentos
-        }
-      };
-      
-      clienteCache.set(clienteId, cacheData);
-    }
 
     // ============================================
-    // 5. CONSTRUIR RESPUESTA FINAL
+    // 3. CONSTRUIR RESPUESTA FINAL
+    // (datos ya optimizados y guardados en cache por cargarListaCompleta)
     // ============================================
     const response = {
       success: true,
       cliente: clienteId,
       tipo_cliente: esEmail ? "por_email" : "por_codigo",
-      lista_precios: optimizedData.lista_precios,
+      lista_precios: data.lista_precios,
       total_productos: totalProductos,
       metadata: {
         timestamp_respuesta: new Date().toISOString(),
         tiempo_procesamiento_ms: fetchTime,
         formato_entrega: formato,
-        optimizaciones_aplicadas: optimizedData.optimizaciones || [],
+        optimizaciones_aplicadas: optimizaciones || [],
+        paginacion_rodin: data.metadata.paginacion_rodin,
         cache: {
           desde_cache: false,
           guardado_en_cache: totalProductos > 0,
+          carga_compartida: !!compartida,
           total_clientes_cacheados: clienteCache.cache.size
         },
-        recomendaciones: generateRecommendations(totalProductos, fetchTime)
+        recomendaciones: generateRecommendations(totalProductos, fetchTime, req.idioma)
       },
       paginacion: {
         tiene_paginacion: false,
-        motivo: "Endpoint /completo entrega todos los productos",
+        motivo: traducir(req.idioma, "completo.sin_paginacion"),
         alternativa_paginada: `/api/lista-precios/cliente/${clienteId}?limite=100`
       }
     };
 
     // Agregar mapa de precios si está optimizado
-    if (formato === "optimizado" && optimizedData.mapa_precios) {
-      response.mapa_precios = optimizedData.mapa_precios;
+    if (formato === "optimizado" && data.mapa_precios) {
+      response.mapa_precios = data.mapa_precios;
     }
 
-    res.json(response);
+    responderConValidacion(req, res, validadoresLista(data), () => response);
 
   } catch (error) {
-    console.error(`❌ Error crítico para ${codigoCliente}:`, error);
+    logger.error("Error crítico obteniendo lista completa", { cliente: codigoCliente, error });
     
     // Respuesta de error detallada
-    res.status(500).json({
-      success: false,
-      error: "Error obteniendo lista de precios",
-      message: error.message,
+    responderError(req, res, error, {
       cliente: codigoCliente,
-      timestamp: new Date().toISOString(),
-      sugerencias: [
-        "Verifique que el cliente exista en Rodin",
-        "Intente con el email si tiene uno",
-        "Contacte al administrador si el problema persiste"
-      ]
+      sugerencias: ["sugerencia.verificar_cliente", "sugerencia.probar_email", "sugerencia.contactar_admin"]
+        .map(clave => traducir(req.idioma, clave))
     });
   }
 });
 
+/**
+ * Helper: Datos de sincronización que se guardan con una carga completa
+ */
+function metadataSincronizacion(codigoRodin, listaPrecios, infoPaginacion) {
+  // Un fallback de primera página no es una lista completa: no sirve de base para cambios
+  const completa = infoPaginacion?.motivo_fin !== "fallback_primera_pagina";
+
+  return {
+    codigo_rodin: codigoRodin || null,
+    ultima_sincronizacion: completa ? marcaUltimaActualizacion(listaPrecios) : null,
+    timestamp_carga_completa: new Date().toISOString(),
+    sincronizacion: { tipo: "completa" }
+  };
+}
+
+/**
+ * Helper: Actualizar una entrada expirada pidiendo a Rodin solo los cambios
+ * Con `entrada` se puede sincronizar una entrada aún vigente (pre-calentamiento).
+ * @returns {Promise<Object|null>} - Datos actualizados, o null si hay que recargar completo
+ */
+async function sincronizarIncremental(clienteId, { timeout, entrada = clienteCache.getExpirado(clienteId) } = {}) {
+  if (!entrada) return null;
+
+  // Varias peticiones sobre la misma entrada expirada esperan una sola consulta de cambios
+  return sincronizacionesEnCurso.compartir(clienteId, () => aplicarSincronizacion(clienteId, { timeout, entrada }));
+}
+
+async function aplicarSincronizacion(clienteId, { timeout, entrada }) {
+  const expirado = entrada;
+  const meta = expirado?.metadata;
+
+  if (!expirado || expirado.parcial || !meta?.ultima_sincronizacion || !meta?.codigo_rodin) {
+    return null;
+  }
+
+  const edadCargaCompleta = Date.now() - Date.parse(meta.timestamp_carga_completa);
+  if (!(edadCargaCompleta < RECARGA_COMPLETA_MS)) {
+    logger.info("Carga completa demasiado antigua, se recarga toda la lista", { cliente: clienteId });
+    return null;
+  }
+
+  try {
+    const startTime = Date.now();
+    const { lista_precios: cambios } = await obtenerCambiosListaPrecios(
+      meta.codigo_rodin,
+      meta.ultima_sincronizacion,
+      { timeout, intentos: 2 }
+    );
+
+    const formato = meta.formato_optimizado || "optimizado";
+    const data = aplicarCambios(expirado, optimizePriceData(cambios, formato), formato);
+
+    data.metadata = {
+      ...meta,
+      timestamp_obtencion: new Date().toISOString(),
+      tiempo_obtencion_ms: Date.now() - startTime,
+      ultima_sincronizacion: marcaUltimaActualizacion(cambios) || meta.ultima_sincronizacion,
+      sincronizacion: {
+        tipo: "incremental",
+        desde: meta.ultima_sincronizacion,
+        productos_modificados: cambios.length
+      }
+    };
+
+    clienteCache.set(clienteId, data);
+    logger.info("Cliente sincronizado por cambios", { cliente: clienteId, modificados: cambios.length });
+    return data;
+
+  } catch (error) {
+    logger.warn("No se pudieron aplicar cambios, se recarga completo", { cliente: clienteId, error });
+    return null;
+  }
+}
+
+/**
+ * Helper: Combinar productos modificados con la lista cacheada (sin mutar la original)
+ */
+function aplicarCambios(data, optimizedCambios, formato) {
+  const claveSku = formato === "optimizado" ? (p => String(p.s)) : (p => String(p.articulo));
+  const lista = [...(data.lista_precios || [])];
+  const posiciones = new Map(lista.map((p, i) => [claveSku(p), i]));
+
+  for (const producto of optimizedCambios.lista_precios) {
+    const sku = claveSku(producto);
+    if (posiciones.has(sku)) {
+      lista[posiciones.get(sku)] = producto;
+    } else {
+      posiciones.set(sku, lista.length);
+      lista.push(producto);
+    }
+  }
+
+  const mapaPrecios = data.mapa_precios
+    ? { ...data.mapa_precios, ...(optimizedCambios.mapa_precios || {}) }
+    : data.mapa_precios;
+
+  return {
+    ...data,
+    lista_precios: lista,
+    mapa_precios: mapaPrecios,
+    total_productos: lista.length,
+    metadata: {
+      ...data.metadata,
+      tiene_descuentos: formato === "optimizado"
+        ? lista.some(p => p.d)
+        : data.metadata?.tiene_descuentos || optimizedCambios.tiene_descuentos
+    }
+  };
+}
+
+/**
+ * Helper: Lista cacheada en el formato pedido (null si no se puede obtener de ella)
+ * Una lista en formato completo se puede optimizar; una optimizada ya perdió campos.
+ */
+const listasOptimizadas = new WeakMap();
+
+function enFormato(data, formato) {
+  if (!data) return null;
+
+  const formatoDatos = data.metadata?.formato_optimizado || "optimizado";
+  if (formatoDatos === formato) return data;
+  if (formato !== "optimizado") return null;
+
+  if (!listasOptimizadas.has(data)) {
+    const optimizedData = optimizePriceData(data.lista_precios, "optimizado");
+    listasOptimizadas.set(data, {
+      ...data,
+      lista_precios: optimizedData.lista_precios,
+      mapa_precios: optimizedData.mapa_precios,
+      metadata: { ...data.metadata, formato_optimizado: "optimizado", tiene_descuentos: optimizedData.tiene_descuentos }
+    });
+  }
+  return listasOptimizadas.get(data);
+}
+
+/**
+ * Helper: Validadores HTTP (ETag / Last-Modified) de una lista de precios
+ * El ETag depende solo del contenido (lista + mapa) y del formato, así que una
+ * sincronización sin cambios reales conserva el mismo ETag.
+ */
+const versionesLista = new WeakMap();
+
+function validadoresLista(data, obtenidoEn = data.metadata?.timestamp_obtencion) {
+  if (!versionesLista.has(data)) {
+    versionesLista.set(data, calcularVersion(data.lista_precios, data.mapa_precios, data.metadata?.formato_optimizado || "optimizado"));
+  }
+
+  return {
+    etag: versionesLista.get(data),
+    lastModified: obtenidoEn
+  };
+}
+
 /**
  * Helper: Optimizar datos de precios
  */
@@ -350,7 +771,7 @@ function optimizePriceData(prices, formato) {
     };
   }
 
-  console.log(`🛠️  Optimizando ${prices.length} productos (formato: ${formato})...`);
+  const inicio = Date.now();
   
   const optimizaciones = [];
   const listaOptimizada = [];
@@ -359,14 +780,16 @@ function optimizePriceData(prices, formato) {
 
   // PARA FORMATO OPTIMIZADO (recomendado para frontend)
   if (formato === "optimizado") {
-    prices.forEach((producto, index) => {
-      // Estructura mínima para búsqueda rápida
+    prices.forEach((producto) => {
+      // Estructura mínima para búsqueda rápida (productos ya normalizados: precios
+      // numéricos y moneda explícita, ver services/modelosRodin.js)
       const itemOptimizado = {
-        s: producto.articulo || `unknown_${index}`, // SKU (short)
-        n: producto.nombre ? producto.nombre.substring(0, 80) : "", // Nombre (truncado)
-        pf: producto.precio_final || 0, // Precio final
-        pl: producto.precio_lista || 0, // Precio lista
-        d: (producto.precio_lista || 0) > (producto.precio_final || 0) // Tiene descuento
+        s: producto.articulo, // SKU (short)
+        n: producto.nombre.substring(0, 80), // Nombre (truncado)
+        pf: producto.precio_final, // Precio final
+        pl: producto.precio_lista, // Precio lista
+        d: producto.precio_lista > producto.precio_final, // Tiene descuento
+        m: producto.moneda // Moneda
       };
 
       listaOptimizada.push(itemOptimizado);
@@ -375,6 +798,7 @@ function optimizePriceData(prices, formato) {
       mapaPrecios[itemOptimizado.s] = {
         precio_final: itemOptimizado.pf,
         precio_lista: itemOptimizado.pl,
+        moneda: itemOptimizado.m,
         tiene_descuento: itemOptimizado.d
       };
 
@@ -389,7 +813,7 @@ function optimizePriceData(prices, formato) {
     optimizaciones.push("formato_completo");
   }
 
-  console.log(`✅ Optimización completada: ${listaOptimizada.length} productos`);
+  logger.debug("Optimización completada", { productos: listaOptimizada.length, formato, duration_ms: Date.now() - inicio });
   
   return {
     lista_precios: listaOptimizada,
@@ -402,33 +826,25 @@ function optimizePriceData(prices, formato) {
 
 /**
  * Helper: Generar recomendaciones basadas en los datos
+ * `nivel` es para máquinas; mensaje, accion y tecnica van en el idioma de la petición.
  */
-function generateRecommendations(totalProductos, tiempoMs) {
+function generateRecommendations(totalProductos, tiempoMs, idioma) {
   const recomendaciones = [];
+  const recomendacion = (nivel, clave, valores) => ({
+    nivel,
+    mensaje: traducir(idioma, clave, valores),
+    accion: traducir(idioma, `${clave}.accion`),
+    tecnica: traducir(idioma, `${clave}.tecnica`)
+  });
   
   if (totalProductos > 10000) {
-    recomendaciones.push({
-      nivel: "alto",
-      mensaje: `Cliente con ${totalProductos.toLocaleString()} productos`,
-      accion: "Usar carga progresiva en frontend",
-      tecnica: "Virtual scrolling + IndexedDB"
-    });
+    recomendaciones.push(recomendacion("alto", "recomendacion.lista_muy_grande", { total: totalProductos }));
   } else if (totalProductos > 1000) {
-    recomendaciones.push({
-      nivel: "medio", 
-      mensaje: `Cliente con ${totalProductos} productos`,
-      accion: "Cachear en IndexedDB",
-      tecnica: "Lazy loading por lotes"
-    });
+    recomendaciones.push(recomendacion("medio", "recomendacion.lista_grande", { total: totalProductos }));
   }
   
   if (tiempoMs > 5000) {
-    recomendaciones.push({
-      nivel: "advertencia",
-      mensaje: `Tiempo de obtención alto: ${tiempoMs}ms`,
-      accion: "Considerar paginación",
-      tecnica: "Usar endpoint paginado para carga inicial"
-    });
+    recomendaciones.push(recomendacion("advertencia", "recomendacion.tiempo_alto", { tiempo: tiempoMs }));
   }
   
   return recomendaciones;
@@ -442,87 +858,155 @@ function generateRecommendations(totalProductos, tiempoMs) {
  * GET /api/lista-precios/visibles/:codigoCliente
  * Obtener precios solo para productos visibles en viewport
  */
-router.get("/lista-precios/visibles/:codigoCliente", async (req, res) => {
-  const { codigoCliente } = req.params;
-  const { skus, modo = "exacto" } = req.query;
-
-  try {
-    if (!codigoCliente) {
-      return res.status(400).json({ error: "Código de cliente requerido" });
+const esquemaVisibles = validar({
+  resumen: "Precios de los SKUs visibles",
+  descripcion: "Precios solo de los productos visibles en el viewport; usa el cache del cliente y consulta Rodin por los que falten.",
+  etiqueta: "Lista de precios",
+  scope: SCOPES.PRECIOS_LEER,
+  params: { codigoCliente: CLIENTE_O_EMAIL },
+  query: {
+    skus: {
+      type: "string",
+      minLength: 1,
+      maxLength: 4000,
+      description: "SKUs separados por coma (máximo 100)",
+      example: "10001,10002,10003"
     }
+  },
+  queryRequeridos: ["skus"],
+  respuestas: { 404: "Cliente no encontrado" }
+});
 
-    if (!skus) {
-      return res.status(400).json({
-        error: "Parámetro 'skus' requerido",
-        descripcion: "Lista de SKUs separados por coma que están visibles en el viewport",
-        ejemplo: "?skus=10001,10002,10003,10004"
-      });
-    }
+router.get("/lista-precios/visibles/:codigoCliente", accesoPrecios(req => req.params.codigoCliente), esquemaVisibles, async (req, res) => {
+  const { codigoCliente } = req.params;
+  const { skus } = req.validado.query;
 
-    console.log(`👀 [VISIBLES] Solicitando ${skus.split(',').length} SKUs visibles para ${codigoCliente}`);
+  try {
+    logger.debug("Solicitando SKUs visibles", { cliente: codigoCliente, skus: skus.split(',').length });
     
     const skuArray = skus.split(',')
       .map(s => s.trim())
       .filter(s => s)
       .slice(0, 100); // Máximo 100 SKUs por request
 
-    // 1. Intentar obtener desde cache completo primero
-    const cachedData = clienteCache.get(codigoCliente);
-    let productosEncontrados = [];
+    // 1. Buscar primero en el cache del cliente; una lista completa (en cualquier formato)
+    //    se consulta optimizada: su mapa cubre todos los SKUs del cliente
+    const clienteId = claveCliente(codigoCliente);
+    const cachedData = clienteCache.get(clienteId);
+    const listaCompleta = cachedData && !cachedData.parcial ? enFormato(cachedData, "optimizado") : null;
+    const mapaCache = (listaCompleta || cachedData)?.mapa_precios || {};
+    const productosEncontrados = [];
+    const skusPendientes = [];
+
+    skuArray.forEach(sku => {
+      if (mapaCache[sku]) {
+        productosEncontrados.push({
+          articulo: sku,
+          precio_final: mapaCache[sku].precio_final,
+          precio_lista: mapaCache[sku].precio_lista,
+          moneda: mapaCache[sku].moneda,
+          desde_cache: true
+        });
+      } else {
+        skusPendientes.push(sku);
+      }
+    });
+
+    logger.debug("SKUs visibles encontrados en cache", {
+      cliente: codigoCliente,
+      encontrados: productosEncontrados.length,
+      solicitados: skuArray.length
+    });
+
+    // Con una lista completa en cache, un SKU ausente simplemente no existe para el cliente
+    const cacheCompleto = !!listaCompleta;
+    let noEncontrados = cacheCompleto ? skusPendientes : [];
+    let errores = [];
+    let datosObsoletos = null;
+
+    // 2. Si no hay cache completo, buscar en Rodin los SKUs faltantes
+    if (!cacheCompleto && skusPendientes.length > 0) {
+      logger.debug("Buscando SKUs en Rodin", { cliente: codigoCliente, pendientes: skusPendientes.length });
+
+      // Rodin filtra por código de cliente: un email se resuelve antes (como en /completo)
+      const codigoRodin = await resolverCodigoRodin(clienteId);
+      const resultado = await buscarProductosEnLista(codigoRodin, skusPendientes, {
+        concurrencia: VISIBLES_CONCURRENCIA
+      });
+
+      const optimizedData = optimizePriceData(resultado.encontrados, "optimizado");
+
+      optimizedData.lista_precios.forEach(item => {
+        productosEncontrados.push({
+          articulo: String(item.s),
+          precio_final: item.pf,
+          precio_lista: item.pl,
+          moneda: item.m,
+          desde_cache: false
+        });
+      });
+
+      noEncontrados = resultado.no_encontrados;
+      errores = resultado.errores;
+
+      // Modo degradado: SKUs que Rodin no pudo responder, desde la última lista conocida
+      const obsoleto = errores.length > 0
+        ? obtenerObsoleto(clienteId, "visibles", errores[0].error)
+        : null;
+
+      if (obsoleto?.data.mapa_precios) {
+        errores = errores.filter(({ articulo }) => {
+          const precio = obsoleto.data.mapa_precios[articulo];
+          if (!precio) return true;
 
-    if (cachedData && cachedData.mapa_precios) {
-      // Buscar en el mapa de precios cacheado (O(1) por SKU)
-      skuArray.forEach(sku => {
-        if (cachedData.mapa_precios[sku]) {
           productosEncontrados.push({
-            articulo: sku,
-            precio_final: cachedData.mapa_precios[sku].precio_final,
-            precio_lista: cachedData.mapa_precios[sku].precio_lista,
-            desde_cache: true
+            articulo,
+            precio_final: precio.precio_final,
+            precio_lista: precio.precio_lista,
+            moneda: precio.moneda,
+            desde_cache: true,
+            obsoleto: true
           });
-        }
-      });
-      
-      console.log(`✅ ${productosEncontrados.length}/${skuArray.length} encontrados en cache`);
-      
-    } else {
-      // 2. Si no hay cache, buscar individualmente
-      console.log(`🔄 Cache no disponible, buscando individualmente...`);
-      
-      // Aquí iría la lógica para buscar SKUs individualmente
-      // (similar al endpoint batch anterior)
-      
-      // Por ahora, respuesta simulada
-      productosEncontrados = skuArray.map(sku => ({
-        articulo: sku,
-        precio_final: 0,
-        precio_lista: 0,
-        desde_cache: false,
-        advertencia: "Cliente no cacheado, use endpoint /completo primero"
-      }));
+          return false;
+        });
+        datosObsoletos = obsoleto.info;
+      }
+
+      // 3. Guardar lo obtenido en la entrada del cliente
+      if (optimizedData.lista_precios.length > 0) {
+        clienteCache.mergePrecios(clienteId, optimizedData);
+      }
     }
 
+    // Mantener el orden solicitado
+    productosEncontrados.sort((a, b) => skuArray.indexOf(a.articulo) - skuArray.indexOf(b.articulo));
+
     res.json({
       success: true,
       cliente: codigoCliente,
       skus_solicitados: skuArray.length,
       skus_encontrados: productosEncontrados.length,
       productos: productosEncontrados,
-      recomendacion: productosEncontrados.length < skuArray.length 
-        ? "Algunos SKUs no encontrados. Verifique los códigos o actualice cache."
-        : "Todos los SKUs encontrados exitosamente",
+      no_encontrados: noEncontrados,
+      errores: errores.map(({ articulo, codigo, error }) => ({ articulo, codigo, error: mensajeDeError(error, req.idioma) })),
+      parcial: errores.length > 0,
+      recomendacion: traducir(req.idioma, errores.length > 0
+        ? "visibles.errores_rodin"
+        : productosEncontrados.length < skuArray.length 
+          ? "visibles.no_encontrados"
+          : "visibles.todos_encontrados"),
       metadata: {
-        desde_cache: productosEncontrados.length > 0 && productosEncontrados[0].desde_cache,
+        desde_cache: productosEncontrados.length > 0 && productosEncontrados.every(p => p.desde_cache),
+        encontrados_en_cache: productosEncontrados.filter(p => p.desde_cache).length,
+        obtenidos_de_rodin: productosEncontrados.filter(p => !p.desde_cache).length,
+        ...(datosObsoletos && { datos_obsoletos: datosObsoletos }),
         timestamp: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error(`❌ Error en visibles/${codigoCliente}:`, error);
-    res.status(500).json({
-      error: "Error obteniendo precios visibles",
-      message: error.message
-    });
+    logger.error("Error en visibles", { cliente: codigoCliente, error });
+    responderError(req, res, error, { cliente: codigoCliente });
   }
 });
 
@@ -534,7 +1018,14 @@ router.get("/lista-precios/visibles/:codigoCliente", async (req, res) => {
  * GET /api/lista-precios/estadisticas
  * Obtener estadísticas del sistema
  */
-router.get("/lista-precios/estadisticas", async (req, res) => {
+const esquemaEstadisticas = validar({
+  resumen: "Estadísticas del sistema",
+  descripcion: "Cache, índice de clientes, cola de Rodin y memoria del proceso.",
+  etiqueta: "Administración",
+  scope: SCOPES.CACHE_ADMIN
+});
+
+router.get("/lista-precios/estadisticas", protegerCliente(null), requiereScope(SCOPES.CACHE_ADMIN), esquemaEstadisticas, async (req, res) => {
   try {
     const cacheStats = clienteCache.getStats();
     
@@ -547,76 +1038,462 @@ router.get("/lista-precios/estadisticas", async (req, res) => {
       cache: {
         ...cacheStats,
         politica_limpieza: "Automática cada hora",
-        ttl_horas: 6,
-        max_clientes: MAX_CACHE_SIZE
+        ttl_horas: clienteCache.CACHE_TTL / (60 * 60 * 1000),
+        max_clientes: clienteCache.MAX_CACHE_SIZE,
+        stale_if_error: {
+          endpoints: STALE_IF_ERROR.endpoints,
+          gracia_horas: STALE_IF_ERROR.graciaMs / (60 * 60 * 1000)
+        }
+      },
+      precalentamiento: precalentador.getStatus(),
+      cola_rodin: getColaRodinStats(),
+      cargas_compartidas: {
+        lista_completa: cargasEnCurso.getStats(),
+        sincronizacion_incremental: sincronizacionesEnCurso.getStats()
       },
+      indice_clientes: getIndiceClientesStats(),
+      cotizaciones: getCotizacionesStats(),
       endpoints_activos: [
         {
           nombre: "completo",
-          descripcion: "Obtiene TODOS los productos de un cliente",
-          uso: "Carga inicial y cache",
+          descripcion: traducir(req.idioma, "estadisticas.completo.descripcion"),
+          uso: traducir(req.idioma, "estadisticas.completo.uso"),
           url: "/api/lista-precios/completo/{clienteId}"
         },
         {
           nombre: "visibles", 
-          descripcion: "Obtiene solo productos visibles en viewport",
-          uso: "Carga progresiva en frontend",
+          descripcion: traducir(req.idioma, "estadisticas.visibles.descripcion"),
+          uso: traducir(req.idioma, "estadisticas.visibles.uso"),
           url: "/api/lista-precios/visibles/{clienteId}?skus=SKU1,SKU2"
         },
         {
           nombre: "cliente (legacy)",
-          descripcion: "Endpoint original con paginación",
-          uso: "Compatibilidad",
+          descripcion: traducir(req.idioma, "estadisticas.legacy.descripcion"),
+          uso: traducir(req.idioma, "estadisticas.legacy.uso"),
           url: "/api/lista-precios/cliente/{clienteId}?limite=50"
         }
       ],
       recomendaciones: [
-        "Use /completo una vez por sesión por cliente",
-        "Use /visibles para carga progresiva",
-        "Configure IndexedDB en frontend para cache persistente"
-      ]
+        "estadisticas.recomendacion.completo",
+        "estadisticas.recomendacion.visibles",
+        "estadisticas.recomendacion.indexeddb"
+      ].map(clave => traducir(req.idioma, clave))
     };
 
     res.json(estadisticas);
 
   } catch (error) {
-    console.error("❌ Error obteniendo estadísticas:", error);
-    res.status(500).json({
-      error: "Error obteniendo estadísticas",
-      message: error.message
-    });
+    logger.error("Error obteniendo estadísticas", { error });
+    responderError(req, res, error);
   }
 });
 
 /**
  * GET /api/lista-precios/cliente/:codigoCliente (LEGACY - mantenemos compatibilidad)
  */
-router.get("/lista-precios/cliente/:codigoCliente", async (req, res) => {
+const esquemaLegacy = validar({
+  resumen: "Página de la lista de precios (legacy)",
+  descripcion: "Una página de la lista directamente de Rodin. Se mantiene por compatibilidad; use /completo.",
+  etiqueta: "Lista de precios",
+  scope: SCOPES.PRECIOS_LEER,
+  params: { codigoCliente: CLIENTE_O_EMAIL },
+  query: { pagina: PARAMETROS.pagina, limite: PARAMETROS.limite },
+  respuestas: { 304: "Página sin cambios (If-None-Match)" }
+});
+
+router.get("/lista-precios/cliente/:codigoCliente", accesoPrecios(req => req.params.codigoCliente), esquemaLegacy, politicaCache("revalidar"), async (req, res) => {
   const { codigoCliente } = req.params;
-  const { pagina = 1, limite = 50 } = req.query;
+  const { pagina = 1, limite = 50 } = req.validado.query;
 
   try {
     // Llamar al endpoint nuevo con parámetros de paginación
-    const data = await obtenerListaPreciosPorCliente(codigoCliente, {
-      pagina: parseInt(pagina),
-      limite: Math.min(parseInt(limite), 200)
-    });
+    const data = await obtenerListaPreciosPorCliente(codigoCliente, { pagina, limite });
 
-    res.json({
+    responderConValidacion(req, res, { etag: calcularVersion(data) }, () => ({
       ...data,
       metadata: {
         endpoint: "legacy",
-        recomendacion: "Migre al endpoint /completo para mejor rendimiento"
+        recomendacion: traducir(req.idioma, "legacy.recomendacion")
+      }
+    }));
+
+  } catch (error) {
+    logger.error("Error en lista-precios/cliente", { cliente: codigoCliente, error });
+    responderError(req, res, error, { cliente: codigoCliente });
+  }
+});
+
+// ============================================
+// 4. LISTA POR EMAIL Y BÚSQUEDA (sobre listas cacheadas)
+// ============================================
+
+/**
+ * GET /api/lista-precios/email/:email
+ * Lista de precios de un cliente identificado por correo, paginada y filtrable
+ */
+const esquemaEmail = validar({
+  resumen: "Lista de precios por email",
+  descripcion: "Lista del cliente identificado por correo, con sus datos, paginada y filtrable.",
+  etiqueta: "Lista de precios",
+  scope: SCOPES.PRECIOS_LEER,
+  params: { email: { type: "string", format: "email", maxLength: 254, example: "cliente@empresa.com" } },
+  query: FILTROS_LISTA
+});
+
+router.get("/lista-precios/email/:email", accesoPrecios(req => req.params.email), esquemaEmail, politicaCache("no-store"), async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const clienteId = email.trim().toLowerCase();
+    const { data, desde_cache, cliente, obsoleto } = await obtenerListaCliente(clienteId, req.validado.query, "email");
+
+    // En cache solo se guardan precios; los datos del cliente salen del índice de correos
+    let datosCliente = cliente;
+    if (!datosCliente) {
+      const clienteRodin = await obtenerClientePorEmail(clienteId);
+      datosCliente = clienteRodin ? modeloCliente(clienteRodin, clienteId) : null;
+    }
+
+    const filtros = leerFiltros(req.validado.query);
+    const { items, paginacion } = filtrarYPaginar(data.lista_precios, filtros, req);
+
+    res.json({
+      success: true,
+      cliente: datosCliente,
+      lista_precios: items,
+      filtros: filtros.aplicados,
+      paginacion,
+      metadata: {
+        total_productos_lista: data.total_productos,
+        desde_cache,
+        timestamp_obtencion: data.metadata?.timestamp_obtencion,
+        ...(obsoleto && { datos_obsoletos: obsoleto }),
+        timestamp_respuesta: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error(`❌ Error en cliente/${codigoCliente}:`, error);
-    res.status(500).json({
-      error: "Error obteniendo lista de precios",
-      message: error.message
+    logger.error("Error en lista-precios/email", { email, error });
+    responderError(req, res, error, { email });
+  }
+});
+
+/**
+ * GET /api/lista-precios/search?cliente=&sku=&descripcion=&moneda=&pagina=&limite=
+ * Buscar productos dentro de la lista de un cliente (código o email)
+ */
+const esquemaBusqueda = validar({
+  resumen: "Buscar en la lista de un cliente",
+  descripcion: "Filtra por prefijo de SKU, palabras de la descripción y moneda dentro de la lista cacheada del cliente.",
+  etiqueta: "Lista de precios",
+  scope: SCOPES.PRECIOS_LEER,
+  query: { cliente: CLIENTE_O_EMAIL, ...FILTROS_LISTA },
+  queryRequeridos: ["cliente"],
+  respuestas: { 304: "Resultado sin cambios (If-None-Match)" }
+});
+
+router.get("/lista-precios/search", accesoPrecios(req => req.query.cliente), esquemaBusqueda, politicaCache("revalidar"), async (req, res) => {
+  const { cliente } = req.validado.query;
+
+  try {
+    const clienteId = claveCliente(cliente);
+    const { data, desde_cache, obsoleto } = await obtenerListaCliente(clienteId, req.validado.query, "search");
+
+    // Misma lista + mismos filtros = mismo resultado (sin los parámetros de firma de App Proxy)
+    const validadores = validadoresLista(data);
+    validadores.etag = calcularVersion(validadores.etag, req.path, consultaSinFirma(req.query));
+
+    responderConValidacion(req, res, validadores, () => {
+      const filtros = leerFiltros(req.validado.query);
+      const { items, paginacion } = filtrarYPaginar(data.lista_precios, filtros, req);
+
+      return {
+        success: true,
+        cliente: clienteId,
+        productos: items,
+        filtros: filtros.aplicados,
+        paginacion,
+        metadata: {
+          total_productos_lista: data.total_productos,
+          desde_cache,
+          ...(obsoleto && { datos_obsoletos: obsoleto }),
+          timestamp_respuesta: new Date().toISOString()
+        }
+      };
     });
+
+  } catch (error) {
+    logger.error("Error en lista-precios/search", { cliente, error });
+    responderError(req, res, error, { cliente });
   }
 });
 
+/**
+ * Helper: Lista completa de un cliente desde cache, o de Rodin guardándola en cache
+ * Si Rodin falla y `endpoint` admite stale-if-error, responde con la última lista conocida.
+ * @returns {Promise<Object>} - { data, desde_cache, cliente, obsoleto } (cliente solo al consultar por email)
+ */
+async function obtenerListaCliente(clienteId, query = {}, endpoint = null) {
+  const cachedData = clienteCache.get(clienteId);
+  if (cachedData && !cachedData.parcial) {
+    revalidarSiPorExpirar(clienteId);
+    return { data: cachedData, desde_cache: true, cliente: null };
+  }
+
+  const timeout = query.timeout || 30000;
+
+  try {
+    const sincronizado = await sincronizarIncremental(clienteId, { timeout });
+    if (sincronizado) {
+      return { data: sincronizado, desde_cache: false, cliente: null };
+    }
+
+    const { data, cliente } = await cargarListaCompleta(clienteId, { timeout });
+    return { data, desde_cache: false, cliente };
+
+  } catch (error) {
+    const obsoleto = endpoint ? obtenerObsoleto(clienteId, endpoint, error) : null;
+    if (!obsoleto) throw error;
+
+    return { data: obsoleto.data, desde_cache: true, cliente: null, obsoleto: obsoleto.info };
+  }
+}
+
+/**
+ * Helper: Clave de cache de un cliente (código o email; el email sin distinguir mayúsculas)
+ */
+function claveCliente(identificador) {
+  const clave = identificador.trim();
+  return clave.includes('@') ? clave.toLowerCase() : clave;
+}
+
+/**
+ * Helper: Código de cliente Rodin a partir del código o del email
+ * @throws {ErrorApi} - CLIENTE_NO_ENCONTRADO si el email no está registrado
+ */
+async function resolverCodigoRodin(clienteId) {
+  if (!clienteId.includes('@')) return clienteId;
+
+  const cliente = await obtenerClientePorEmail(clienteId.toLowerCase());
+  if (!cliente) {
+    throw new ErrorApi("CLIENTE_NO_ENCONTRADO", null, { clave: "error.email_no_encontrado", valores: { email: clienteId } });
+  }
+  return cliente.cliente;
+}
+
+/**
+ * Helper: Datos obsoletos para stale-if-error, si el endpoint lo permite
+ * No aplica a errores definitivos (solicitud inválida, cliente no encontrado): ahí la lista vieja no es válida.
+ * @returns {Object|null} - { data, info } con info de antigüedad y motivo
+ */
+function obtenerObsoleto(clienteId, endpoint, error) {
+  if (!STALE_IF_ERROR.endpoints.includes(endpoint) || ["SOLICITUD_INVALIDA", "CLIENTE_NO_ENCONTRADO"].includes(error?.codigo)) {
+    return null;
+  }
+
+  const obsoleto = clienteCache.getObsoleto(clienteId, STALE_IF_ERROR.graciaMs);
+  if (!obsoleto) return null;
+
+  const expiradoMs = Math.max(0, obsoleto.age - clienteCache.CACHE_TTL);
+  logger.warn("Sirviendo datos obsoletos (degradado)", {
+    cliente: clienteId,
+    edad_minutos: Math.round(obsoleto.age / 60000),
+    error
+  });
+
+  return {
+    data: obsoleto.data,
+    info: {
+      obsoleto: true,
+      codigo: error?.codigo || null,
+      motivo: error?.message || "Error de Rodin",
+      obtenido_en: obsoleto.data.metadata?.timestamp_obtencion || null,
+      edad_minutos: Math.round(obsoleto.age / 60000),
+      expirado_hace_minutos: Math.round(expiradoMs / 60000),
+      gracia_horas: STALE_IF_ERROR.graciaMs / (60 * 60 * 1000)
+    }
+  };
+}
+
+/**
+ * Helper: Descargar de Rodin la lista completa de un cliente y guardarla en cache
+ * Las llamadas concurrentes para el mismo cliente y formato comparten una sola descarga.
+ * @returns {Promise<Object>} - { data, cliente, optimizaciones, compartida }
+ *   (cliente solo al consultar por email; compartida si se unió a una descarga en curso)
+ */
+async function cargarListaCompleta(clienteId, { timeout = 30000, formato = "optimizado" } = {}) {
+  // Los correos no distinguen mayúsculas: la misma búsqueda por email se comparte
+  const clave = `${clienteId.includes('@') ? clienteId.toLowerCase() : clienteId}|${formato}`;
+  const compartida = cargasEnCurso.has(clave);
+
+  const resultado = await cargasEnCurso.compartir(clave, () => descargarListaCompleta(clienteId, { timeout, formato }));
+  return { ...resultado, compartida };
+}
+
+async function descargarListaCompleta(clienteId, { timeout, formato }) {
+  const esEmail = clienteId.includes('@');
+  const startTime = Date.now();
+
+  let resultado;
+  let cliente = null;
+  if (esEmail) {
+    resultado = await obtenerListaPreciosPorEmail(clienteId, { modo: 'completo', timeout, intentos: 2 });
+    cliente = resultado.cliente;
+  } else {
+    resultado = await obtenerListaPreciosPorCliente(clienteId, { modo: 'completo', timeout, intentos: 3 });
+  }
+
+  const listaPrecios = Array.isArray(resultado) ? resultado : (resultado?.lista_precios || []);
+
+  if (listaPrecios.length === 0) {
+    logger.warn("Cliente sin productos en lista de precios", { cliente: clienteId });
+  } else {
+    logger.info("Lista obtenida de Rodin", { cliente: clienteId, productos: listaPrecios.length, duration_ms: Date.now() - startTime });
+  }
+
+  const guardado = guardarListaCliente(clienteId, listaPrecios, {
+    formato,
+    codigoRodin: esEmail ? cliente?.codigo : clienteId,
+    infoPaginacion: resultado?.paginacion || null,
+    startTime
+  });
+
+  return { ...guardado, cliente };
+}
+
+/**
+ * Helper: Optimizar una lista recién obtenida de Rodin y guardarla en cache (si tiene productos)
+ * @returns {Object} - { data, optimizaciones }
+ */
+function guardarListaCliente(clienteId, listaPrecios, { formato, codigoRodin, infoPaginacion, startTime }) {
+  const optimizedData = optimizePriceData(listaPrecios, formato);
+
+  const data = {
+    lista_precios: optimizedData.lista_precios,
+    mapa_precios: optimizedData.mapa_precios,
+    total_productos: listaPrecios.length,
+    metadata: {
+      timestamp_obtencion: new Date().toISOString(),
+      tiempo_obtencion_ms: Date.now() - startTime,
+      formato_optimizado: formato,
+      cliente_tipo: clienteId.includes('@') ? "email" : "codigo",
+      tiene_descuentos: optimizedData.tiene_descuentos,
+      paginacion_rodin: infoPaginacion,
+      ...metadataSincronizacion(codigoRodin, listaPrecios, infoPaginacion)
+    }
+  };
+
+  if (listaPrecios.length > 0) {
+    clienteCache.set(clienteId, data);
+  }
+
+  return { data, optimizaciones: optimizedData.optimizaciones };
+}
+
+/**
+ * Helper: Refrescar la entrada de un cliente (por cambios si se puede, si no completa)
+ * Lo usa el pre-calentador; la entrada vigente se sigue sirviendo mientras tanto.
+ */
+async function refrescarCliente(clienteId) {
+  const entrada = clienteCache.cache.get(clienteId)?.data;
+  if (entrada?.parcial) return;
+
+  const sincronizado = await sincronizarIncremental(clienteId, { entrada });
+  if (sincronizado) return;
+
+  await cargarListaCompleta(clienteId, { formato: entrada?.metadata?.formato_optimizado || "optimizado" });
+}
+
+/**
+ * Helper: Stale-while-revalidate; si la entrada servida está por expirar, refrescarla en segundo plano
+ * @returns {boolean} - true si hay un refresco en curso para el cliente
+ */
+function revalidarSiPorExpirar(clienteId) {
+  if (precalentador.porExpirar(clienteId)) {
+    precalentador.encolar(clienteId, "stale-while-revalidate");
+  }
+  return precalentador.estaRefrescando(clienteId);
+}
+
+/**
+ * Helper: Leer filtros y paginación del query ya validado (req.validado.query)
+ */
+function leerFiltros(query) {
+  const sku = query.sku?.toString().trim() || null;
+  const descripcion = query.descripcion?.toString().trim() || null;
+  const moneda = query.moneda?.toString().trim().toUpperCase() || null;
+  const pagina = query.pagina || 1;
+  const limite = query.limite || 50;
+
+  return {
+    sku,
+    palabras: descripcion ? normalizarTexto(descripcion).split(/\s+/) : [],
+    moneda,
+    pagina,
+    limite,
+    aplicados: { sku, descripcion, moneda }
+  };
+}
+
+/**
+ * Helper: Query string sin los parámetros que agrega Shopify App Proxy
+ * (cambian en cada petición y no deben copiarse a los enlaces)
+ */
+function consultaSinFirma(query) {
+  const { signature, timestamp, logged_in_customer_id, shop, path_prefix, ...resto } = query;
+  return resto;
+}
+
+/**
+ * Helper: Quitar acentos y pasar a minúsculas para buscar texto
+ */
+function normalizarTexto(texto) {
+  return texto.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Helper: Filtrar productos (formato optimizado o completo) y paginar el resultado
+ */
+function filtrarYPaginar(productos, filtros, req) {
+  const items = (productos || [])
+    .map(p => ({
+      articulo: String(p.s ?? p.articulo ?? ""),
+      nombre: p.n ?? p.nombre ?? "",
+      precio_final: p.pf ?? p.precio_final ?? 0,
+      precio_lista: p.pl ?? p.precio_lista ?? 0,
+      tiene_descuento: p.d ?? (p.precio_lista || 0) > (p.precio_final || 0),
+      moneda: p.m ?? p.moneda ?? null
+    }))
+    .filter(p => {
+      if (filtros.sku && !p.articulo.toLowerCase().startsWith(filtros.sku.toLowerCase())) return false;
+      if (filtros.moneda && (p.moneda || "").toUpperCase() !== filtros.moneda) return false;
+      if (filtros.palabras.length > 0) {
+        const nombre = normalizarTexto(p.nombre);
+        if (!filtros.palabras.every(palabra => nombre.includes(palabra))) return false;
+      }
+      return true;
+    });
+
+  const totalResultados = items.length;
+  const totalPaginas = Math.max(1, Math.ceil(totalResultados / filtros.limite));
+  const inicio = (filtros.pagina - 1) * filtros.limite;
+
+  const enlace = (pagina) => {
+    const params = new URLSearchParams({ ...consultaSinFirma(req.query), pagina: String(pagina), limite: String(filtros.limite) });
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+  };
+
+  return {
+    items: items.slice(inicio, inicio + filtros.limite),
+    paginacion: {
+      pagina: filtros.pagina,
+      limite: filtros.limite,
+      total_resultados: totalResultados,
+      total_paginas: totalPaginas,
+      siguiente: filtros.pagina < totalPaginas ? enlace(filtros.pagina + 1) : null,
+      anterior: filtros.pagina > 1 ? enlace(Math.min(filtros.pagina - 1, totalPaginas)) : null
+    }
+  };
+}
+
 export default router;
\ No newline at end of file
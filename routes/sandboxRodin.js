@@ -0,0 +1,197 @@
+// routes/sandboxRodin.js - RODIN SIMULADO CON FIXTURES (RODIN_SANDBOX=true)
+// Sirve auth_login.php, get_clientes.php y get_lista_precios.php desde archivos locales
+// (RODIN_SANDBOX_FIXTURES, por defecto fixtures/rodin) para desarrollar y probar sin
+// tocar el Rodin de producción.
+//
+// Comportamiento:
+// - Latencia aleatoria alrededor de RODIN_SANDBOX_LATENCIA_MS (default 150)
+// - Errores 503 aleatorios con probabilidad RODIN_SANDBOX_TASA_ERROR (0 a 1, default 0)
+// - Páginas de RODIN_SANDBOX_TAMANO_PAGINA productos (default 20) y 10 clientes;
+//   RODIN_SANDBOX_TOTAL_PAGINAS=false omite total_paginas (el proxy detecta el final)
+// - Tokens con `exp` que vencen a los RODIN_SANDBOX_TOKEN_TTL_SEG (default 3600); 401 si no son válidos
+// - Casos especiales: usuario "invalido" (login rechazado), cliente SANDBOX-500 (error 500),
+//   cliente SANDBOX-LENTO (responde en 45 s, más que el timeout por defecto)
+// - Fin de la lista como lo hacen otras versiones del PHP: los clientes SANDBOX-FIN-REPETIDO
+//   (repite la última página) y SANDBOX-FIN-404 (404 después de la última) tienen la lista
+//   del primer cliente de los fixtures
+// - Filtro `articulo` sin coincidencias: 404, igual que un cliente inexistente
+// - El artículo DES-900 no tiene precio válido: el proxy lo descarta y lo reporta
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { RUTAS_RODIN } from "../services/rodinConfig.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+const CONFIG = {
+  directorio: path.resolve(process.env.RODIN_SANDBOX_FIXTURES || "fixtures/rodin"),
+  latenciaMs: parseInt(process.env.RODIN_SANDBOX_LATENCIA_MS) || 150,
+  tasaError: parseFloat(process.env.RODIN_SANDBOX_TASA_ERROR) || 0,
+  tamañoPagina: parseInt(process.env.RODIN_SANDBOX_TAMANO_PAGINA) || 20,
+  tamañoPaginaClientes: 10,
+  informarTotalPaginas: process.env.RODIN_SANDBOX_TOTAL_PAGINAS !== "false",
+  tokenTtlSeg: parseInt(process.env.RODIN_SANDBOX_TOKEN_TTL_SEG) || 3600
+};
+
+// Fixtures: se leen una vez (reiniciar para recargar)
+let fixtures = null;
+
+function cargarFixtures() {
+  if (fixtures) return fixtures;
+
+  const leer = (archivo) => JSON.parse(fs.readFileSync(path.join(CONFIG.directorio, archivo), "utf8"));
+  fixtures = {
+    clientes: leer("clientes.json"),
+    articulos: leer("articulos.json")
+  };
+
+  logger.info("Fixtures del sandbox de Rodin cargados", {
+    directorio: CONFIG.directorio,
+    clientes: fixtures.clientes.length,
+    articulos: fixtures.articulos.length
+  });
+  return fixtures;
+}
+
+// token → expiración (ms)
+const tokens = new Map();
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Helper: Simular latencia de red y fallos intermitentes del PHP de Rodin
+ * @returns {Promise<boolean>} - false si ya se respondió con error
+ */
+async function simularRed(res, demoraMs = null) {
+  const espera = demoraMs ?? CONFIG.latenciaMs * (0.5 + Math.random());
+  await new Promise(resolve => setTimeout(resolve, espera));
+
+  if (Math.random() < CONFIG.tasaError) {
+    res.status(503).json({ error: "Servicio no disponible (sandbox)" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Helper: Validar el header Authorization: Bearer <token>
+ */
+function tokenValido(req) {
+  const token = req.get("Authorization")?.replace(/^Bearer\s+/i, "");
+  const expira = token && tokens.get(token);
+  return !!expira && expira > Date.now();
+}
+
+/**
+ * Helper: Token con forma de JWT (el proxy lee su `exp`)
+ */
+function emitirToken(usuario) {
+  const exp = Math.floor(Date.now() / 1000) + CONFIG.tokenTtlSeg;
+  const parte = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const token = `${parte({ alg: "none", typ: "JWT" })}.${parte({ sub: usuario, exp })}.${crypto.randomBytes(16).toString("base64url")}`;
+
+  tokens.set(token, exp * 1000);
+  return { token, exp };
+}
+
+function paginar(items, pagina, tamaño) {
+  const inicio = (pagina - 1) * tamaño;
+  return {
+    items: items.slice(inicio, inicio + tamaño),
+    totalPaginas: Math.max(1, Math.ceil(items.length / tamaño))
+  };
+}
+
+/**
+ * Helper: Lista de precios de un cliente (precio final con su descuento)
+ */
+function listaDeCliente(cliente) {
+  const descuento = cliente.lista_precios === "PUBLICO" ? 0 : parseFloat(cliente.descuento) || 0;
+
+  return cargarFixtures().articulos.map(articulo => ({
+    ...articulo,
+    precio_final: (parseFloat(articulo.precio_lista) * (1 - descuento / 100)).toFixed(2)
+  }));
+}
+
+// ============================================
+// ENDPOINTS SIMULADOS
+// ============================================
+
+router.post(`/${RUTAS_RODIN.auth_login}`, async (req, res) => {
+  if (!await simularRed(res)) return;
+
+  const { usuario, password } = req.body || {};
+  if (!usuario || !password || usuario === "invalido") {
+    return res.status(401).json({ error: "Usuario o contraseña incorrectos" });
+  }
+
+  const { token } = emitirToken(usuario);
+  res.json({ token, expires_in: CONFIG.tokenTtlSeg });
+});
+
+router.post(`/${RUTAS_RODIN.get_clientes}`, async (req, res) => {
+  if (!await simularRed(res)) return;
+  if (!tokenValido(req)) return res.status(401).json({ error: "Token inválido o expirado" });
+
+  const pagina = Math.max(1, parseInt(req.body?.pagina) || 1);
+  const { cliente, fecha } = req.body || {};
+
+  const filtrados = cargarFixtures().clientes.filter(c =>
+    (!cliente || c.cliente === cliente) &&
+    (!fecha || c.fecha_modificacion >= fecha)
+  );
+
+  const { items } = paginar(filtrados, pagina, CONFIG.tamañoPaginaClientes);
+  res.json({ clientes: items.map(({ fecha_modificacion, ...c }) => c) });
+});
+
+router.get(`/${RUTAS_RODIN.get_lista_precios}`, async (req, res) => {
+  const { cliente: codigo, articulo, ultima_actualizacion } = req.query;
+
+  const demora = codigo === "SANDBOX-LENTO" ? 45 * 1000 : null;
+  if (!await simularRed(res, demora)) return;
+  if (!tokenValido(req)) return res.status(401).json({ error: "Token inválido o expirado" });
+
+  if (codigo === "SANDBOX-500") {
+    return res.status(500).json({ error: "Error interno simulado" });
+  }
+
+  const finEspecial = { "SANDBOX-FIN-REPETIDO": "repetida", "SANDBOX-FIN-404": "404" }[codigo];
+  const cliente = finEspecial
+    ? cargarFixtures().clientes[0]
+    : cargarFixtures().clientes.find(c => c.cliente === codigo);
+  if (!cliente) {
+    return res.status(404).json({ error: `Cliente ${codigo} no encontrado` });
+  }
+
+  let pagina = Math.max(1, parseInt(req.query.pagina) || 1);
+  const filtrados = listaDeCliente(cliente).filter(p =>
+    (!articulo || p.articulo === articulo) &&
+    (!ultima_actualizacion || p.ultima_actualizacion > ultima_actualizacion)
+  );
+
+  // Como el PHP real: un artículo que no está en la lista del cliente es un 404
+  if (articulo && filtrados.length === 0) {
+    return res.status(404).json({ error: `Artículo ${articulo} no encontrado` });
+  }
+
+  const ultimaPagina = Math.max(1, Math.ceil(filtrados.length / CONFIG.tamañoPagina));
+  if (pagina > ultimaPagina && finEspecial === "404") {
+    return res.status(404).json({ error: `Página ${pagina} no encontrada` });
+  }
+  if (pagina > ultimaPagina && finEspecial === "repetida") pagina = ultimaPagina;
+
+  const { items, totalPaginas } = paginar(filtrados, pagina, CONFIG.tamañoPagina);
+  res.json({
+    lista_precios: items,
+    pagina,
+    ...(CONFIG.informarTotalPaginas && { total_paginas: totalPaginas })
+  });
+});
+
+export default router;
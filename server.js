@@ -1,15 +1,55 @@
 // server.js - CONFIGURACIÓN PARA PRODUCCIÓN
+// Cargar .env antes que cualquier módulo: varios leen su configuración al importarse
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 
 import clientesRouter from "./routes/clientes.js";
 import listaPreciosRouter from "./routes/listaPrecios.js";
-
-dotenv.config();
+import cotizacionRouter from "./routes/cotizacion.js";
+import sandboxRodinRouter from "./routes/sandboxRodin.js";
+import { iniciarIndiceClientes } from "./services/clientesService.js";
+import { getAppProxyConfig } from "./middleware/shopifyAppProxy.js";
+import { autenticarApiKey, requiereScope, getApiKeysConfig, SCOPES } from "./middleware/apiKeys.js";
+import { limitarPeticiones, getRateLimitStats } from "./middleware/rateLimit.js";
+import { asignarRequestId } from "./middleware/requestId.js";
+import { detectarIdioma } from "./middleware/idioma.js";
+import { medirPeticiones, exponerMetricas } from "./middleware/metricas.js";
+import { logger } from "./services/logger.js";
+import { redaccionActiva } from "./services/redaccion.js";
+import { getEstadoRodin } from "./services/resilienciaRodin.js";
+import { esSandboxRodin, getRodinConfig } from "./services/rodinConfig.js";
+import { ErrorApi, normalizarError, responderError } from "./services/errores.js";
+import { validar } from "./middleware/validacion.js";
+import { listarRutas, crearDocumentoOpenApi } from "./services/openapi.js";
 
 const app = express();
 
+// Detrás de un proxy o balanceador (Render, nginx, Cloudflare) req.ip es la IP del proxy y el
+// rate limit por IP se volvería uno solo para todos. TRUST_PROXY se pasa a "trust proxy" de Express:
+// número de saltos ("1"), "true" (confiar en todo X-Forwarded-For; solo si el proxy lo reescribe)
+// o lista de IPs/subredes ("loopback, 10.0.0.0/8"). Sin definir no se confía en X-Forwarded-For.
+function leerTrustProxy(valor) {
+  const texto = valor?.trim();
+  if (!texto) return undefined;
+  if (texto === "true" || texto === "false") return texto === "true";
+  return /^\d+$/.test(texto) ? parseInt(texto) : texto;
+}
+
+const TRUST_PROXY = leerTrustProxy(process.env.TRUST_PROXY);
+if (TRUST_PROXY !== undefined) {
+  app.set("trust proxy", TRUST_PROXY);
+}
+
+// ID de correlación (X-Request-Id) y log de cada petición; primero para cubrir todo lo demás
+app.use(asignarRequestId);
+
+// Métricas por ruta y status (ver /metrics)
+app.use(medirPeticiones);
+
+// Idioma de los mensajes según Accept-Language (antes de cualquier respuesta de error)
+app.use(detectarIdioma);
+
 // =================== CONFIGURACIÓN CORS PARA PRODUCCIÓN ===================
 const allowedOrigins = [
   // Shopify Admin
@@ -48,7 +88,7 @@ const corsOptions = {
     if (isAllowed) {
       callback(null, true);
     } else {
-      console.warn(`🚫 CORS bloqueado: ${origin}`);
+      logger.warn("CORS bloqueado", { origin });
       callback(new Error('Not allowed by CORS'));
     }
   },
@@ -59,9 +99,11 @@ const corsOptions = {
     'Authorization',
     'Accept',
     'Origin',
-    'X-Requested-With'
+    'X-Requested-With',
+    'X-Request-Id',
+    'Accept-Language'
   ],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  exposedHeaders: ['Content-Length', 'X-Request-Id', 'Content-Language'],
   maxAge: 86400, // 24 horas en segundos
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -77,7 +119,7 @@ app.use((req, res, next) => {
   res.header('X-Frame-Options', 'DENY');
   res.header('X-XSS-Protection', '1; mode=block');
   
-  // Cache control para API
+  // Cache control por defecto: no-store (las rutas de precios lo sustituyen, ver middleware/cacheHttp.js)
   res.header('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.header('Pragma', 'no-cache');
   res.header('Expires', '0');
@@ -89,159 +131,166 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// API keys (header Authorization); cada ruta exige su scope
+app.use("/api", autenticarApiKey);
+
+// Rate limiting por API key / cliente Shopify / IP (antes de las rutas)
+app.use("/api", limitarPeticiones);
+
 // =================== ROUTES ===================
 app.use("/api", clientesRouter);
 app.use("/api", listaPreciosRouter);
+app.use("/api", cotizacionRouter);
+
+// =================== RODIN SIMULADO (RODIN_SANDBOX=true) ===================
+// Fuera de /api: lo consume el propio proxy como upstream, con sus propios tokens
+if (esSandboxRodin()) {
+  app.use("/sandbox/rodin", sandboxRodinRouter);
+}
+
+// =================== MÉTRICAS (PROMETHEUS) ===================
+// Fuera de /api: sin rate limit; con API keys activas exige el scope metricas:leer
+app.get("/metrics", autenticarApiKey, requiereScope(SCOPES.METRICAS_LEER), validar({
+  resumen: "Métricas en formato Prometheus",
+  etiqueta: "Sistema",
+  scope: SCOPES.METRICAS_LEER
+}), exponerMetricas);
 
 // =================== ENDPOINTS DE HEALTH & INFO ===================
-app.get("/api/health", (req, res) => {
+// Routers documentados: el documento OpenAPI, /api/info y el 404 salen de sus rutas
+const ROUTERS_DOCUMENTADOS = [
+  { prefijo: "/api", router: clientesRouter },
+  { prefijo: "/api", router: listaPreciosRouter },
+  { prefijo: "/api", router: cotizacionRouter },
+  { prefijo: "", router: app }
+];
+
+const INFO_API = {
+  title: "Rodin B2B API",
+  description: "API para integración B2B con Shopify",
+  version: "1.1.0"
+};
+
+app.get("/api/health", validar({
+  resumen: "Estado del servicio",
+  descripcion: "degraded mientras el circuito hacia Rodin no está cerrado.",
+  etiqueta: "Sistema"
+}), (req, res) => {
+  const rodin = getEstadoRodin();
+
   res.json({
-    status: "healthy",
+    // Con el circuito abierto el proxy sigue sirviendo cache, pero sin datos nuevos
+    status: rodin.circuito === "cerrado" ? "healthy" : "degraded",
     service: "Rodin B2B API",
     version: "1.0.0",
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'production',
     cors: {
       allowedOrigins: allowedOrigins.map(o => o.toString())
-    }
+    },
+    shopify_app_proxy: getAppProxyConfig(),
+    api_keys: getApiKeysConfig(),
+    rate_limit: getRateLimitStats(),
+    rodin: { ...rodin, upstream: getRodinConfig() }
   });
 });
 
-app.get("/api/info", (req, res) => {
+app.get("/api/info", validar({ resumen: "Información del API y sus endpoints", etiqueta: "Sistema" }), (req, res) => {
   res.json({
-    name: "Rodin B2B API",
-    description: "API para integración B2B con Shopify",
-    version: "1.1.0",
+    name: INFO_API.title,
+    description: INFO_API.description,
+    version: INFO_API.version,
     author: "Intellisys Connection",
-    endpoints: {
-      clientes: {
-        all: "GET /api/clientes",
-        byEmail: "GET /api/clientes/by-email/:email",
-        queryParams: "?pagina=1&cliente=ID&fecha=YYYY-MM-DD"
-      },
-      lista_precios: {
-        byCliente: "GET /api/lista-precios/cliente/:codigoCliente",
-        byEmail: "GET /api/lista-precios/email/:email",
-        search: "GET /api/lista-precios/search?cliente=CODIGO&sku=XXX&pagina=1",
-        queryParams: {
-          cliente: "Código de cliente",
-          email: "Email del cliente",
-          sku: "SKU del producto",
-          descripcion: "Texto en descripción",
-          pagina: "Número de página",
-          limite: "Items por página",
-          moneda: "Filtrar por moneda"
-        }
-      },
-      health: "GET /api/health"
-    }
+    documentacion: "GET /api/openapi.json",
+    endpoints: listarRutas(ROUTERS_DOCUMENTADOS).map(({ metodo, ruta, esquema }) => ({
+      metodo,
+      ruta,
+      resumen: esquema?.resumen || null,
+      ...(esquema?.scope && { scope: esquema.scope })
+    }))
   });
 });
 
-// =================== RATE LIMITING (Básico) ===================
-const rateLimit = {};
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutos
-const MAX_REQUESTS = 100; // 100 requests por IP en 15 minutos
-
-app.use((req, res, next) => {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  
-  if (!rateLimit[ip]) {
-    rateLimit[ip] = { count: 1, startTime: now };
-    return next();
-  }
-  
-  if (now - rateLimit[ip].startTime > RATE_LIMIT_WINDOW) {
-    // Reiniciar contador si ha pasado el tiempo
-    rateLimit[ip] = { count: 1, startTime: now };
-    return next();
-  }
-  
-  rateLimit[ip].count++;
-  
-  if (rateLimit[ip].count > MAX_REQUESTS) {
-    console.warn(`⚠️ Rate limit excedido para IP: ${ip}`);
-    return res.status(429).json({
-      error: "Too many requests",
-      message: "Por favor, espera antes de hacer más solicitudes",
-      retryAfter: Math.ceil((rateLimit[ip].startTime + RATE_LIMIT_WINDOW - now) / 1000)
-    });
-  }
-  
-  next();
+app.get("/api/openapi.json", validar({ resumen: "Documento OpenAPI 3 de este API", etiqueta: "Sistema" }), (req, res) => {
+  res.json(crearDocumentoOpenApi(ROUTERS_DOCUMENTADOS, INFO_API));
 });
 
 // =================== MANEJO DE ERRORES ===================
 app.use((req, res, next) => {
-  res.status(404).json({
-    error: "Endpoint no encontrado",
-    message: `La ruta ${req.originalUrl} no existe`,
-    availableEndpoints: ["/api/clientes", "/api/clientes/by-email/:email", "/api/health", "/api/info"]
+  responderError(req, res, new ErrorApi("ENDPOINT_NO_ENCONTRADO", null, {
+    clave: "error.endpoint_no_encontrado",
+    valores: { ruta: req.originalUrl }
+  }), {
+    availableEndpoints: listarRutas(ROUTERS_DOCUMENTADOS).map(({ metodo, ruta }) => `${metodo} ${ruta}`)
   });
 });
 
 app.use((err, req, res, next) => {
-  console.error('❌ Error del servidor:', {
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    ip: req.ip,
-    timestamp: new Date().toISOString()
-  });
-  
   // Si es error de CORS
   if (err.message === 'Not allowed by CORS') {
-    return res.status(403).json({
-      error: "CORS Error",
-      message: "Origen no permitido",
+    logger.warn("Origen no permitido por CORS", { origin: req.headers.origin, path: req.path });
+    return responderError(req, res, new ErrorApi("ORIGEN_NO_PERMITIDO", null, { clave: "error.origen_no_permitido" }), {
       origin: req.headers.origin,
       allowedOrigins: allowedOrigins.map(o => o.toString())
     });
   }
-  
-  res.status(500).json({
-    error: "Error interno del servidor",
-    message: process.env.NODE_ENV === 'development' ? err.message : "Contacta al administrador",
-    requestId: req.headers['x-request-id'] || Date.now().toString(36)
+
+  // JSON mal formado en el cuerpo (express.json)
+  if (err.type === "entity.parse.failed") {
+    return responderError(req, res, new ErrorApi("SOLICITUD_INVALIDA", null, { clave: "error.json_invalido" }));
+  }
+
+  const errorApi = normalizarError(err);
+  logger[errorApi.status >= 500 ? "error" : "warn"]("Error del servidor", {
+    error: err,
+    stack: err.stack,
+    codigo: errorApi.codigo,
+    path: req.path,
+    method: req.method,
+    ip: req.ip
   });
+
+  responderError(req, res, errorApi);
 });
 
 // =================== GRACEFUL SHUTDOWN ===================
 process.on('SIGTERM', () => {
-  console.log('👋 SIGTERM recibido. Cerrando servidor...');
+  logger.info("SIGTERM recibido. Cerrando servidor...");
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('👋 SIGINT recibido. Cerrando servidor...');
+  logger.info("SIGINT recibido. Cerrando servidor...");
   process.exit(0);
 });
 
 // =================== INICIAR SERVIDOR ===================
 const PORT = process.env.PORT || 3000;
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
-🚀 ===============================================
-   Rodin B2B API v1.0.0
-   🔗 URL: http://0.0.0.0:${PORT}
-   📅 Iniciado: ${new Date().toISOString()}
-   🌍 Ambiente: ${process.env.NODE_ENV || 'production'}
-   🔒 CORS: ${allowedOrigins.length} orígenes permitidos
-===============================================
-  `);
-  
-  // Mostrar orígenes permitidos (sans información sensible)
-  console.log('✅ Orígenes permitidos:');
-  allowedOrigins.forEach((origin, i) => {
-    console.log(`   ${i + 1}. ${origin}`);
+  logger.info("Rodin B2B API v1.0.0 iniciada", {
+    url: `http://0.0.0.0:${PORT}`,
+    environment: process.env.NODE_ENV || 'production',
+    log_level: process.env.LOG_LEVEL || 'info',
+    redaccion_logs: redaccionActiva(),
+    trust_proxy: TRUST_PROXY ?? false,
+    // Orígenes permitidos (sin información sensible)
+    cors_origins: allowedOrigins.map(o => o.toString())
   });
-  console.log('===============================================\n');
+
+  if (!redaccionActiva()) {
+    logger.warn("Redacción de logs desactivada (LOG_REDACCION=false): los logs pueden contener datos personales");
+  }
+
+  if (esSandboxRodin()) {
+    logger.warn("Modo sandbox: Rodin simulado con fixtures locales, sin datos reales", { upstream: getRodinConfig().base_url });
+  }
+
+  // Construir índice de correos de clientes en segundo plano
+  iniciarIndiceClientes();
 });
 
 // Manejo de errores del servidor
 server.on('error', (error) => {
-  console.error('💥 Error al iniciar servidor:', error);
+  logger.error("Error al iniciar servidor", { error });
   process.exit(1);
 });
\ No newline at end of file
@@ -1,25 +1,205 @@
 import axios from "axios";
 import qs from "qs";
+import { logger, headersCorrelacion } from "./logger.js";
+import { registrarColector } from "./metricas.js";
+import { llamarRodin } from "./resilienciaRodin.js";
+import { urlRodin } from "./rodinConfig.js";
+import { ErrorApi, errorDeRodin } from "./errores.js";
 
-export async function obtenerToken() {
-  const url = "https://rodin.com.mx/b2b/api/auth_login.php";
+// Vigencia asumida del token cuando Rodin no informa expiración
+const TOKEN_TTL_DEFAULT = parseInt(process.env.RODIN_TOKEN_TTL_MS) || 50 * 60 * 1000; // 50 minutos
+// Margen para renovar antes de que el token expire realmente
+const TOKEN_MARGEN_RENOVACION = 60 * 1000; // 1 minuto
+
+/**
+ * Error de autenticación contra Rodin (login fallido o token rechazado)
+ * Es un fallo del proxy frente a Rodin, no del que llama: responde 502 UPSTREAM_AUTH.
+ */
+export class RodinAuthError extends ErrorApi {
+  constructor(message, { status = null, detalle = null } = {}) {
+    super("UPSTREAM_AUTH", message);
+    this.name = "RodinAuthError";
+    this.upstreamStatus = status;
+    this.detalle = detalle;
+  }
+}
+
+// ============================================
+// ESTADO DEL TOKEN (compartido por todo el proceso)
+// ============================================
+const tokenState = {
+  token: null,
+  expiraEn: 0,
+  loginEnCurso: null,
+  renovaciones: 0
+};
+
+/**
+ * Calcular expiración del token: exp del JWT, expires_in de la respuesta o TTL por defecto
+ */
+function calcularExpiracion(token, responseData) {
+  const expiresIn = parseInt(responseData?.expires_in);
+  if (expiresIn > 0) {
+    return Date.now() + expiresIn * 1000;
+  }
+
+  // Si el token es un JWT, usar su claim "exp"
+  const partes = typeof token === "string" ? token.split(".") : [];
+  if (partes.length === 3) {
+    try {
+      const payload = JSON.parse(Buffer.from(partes[1], "base64url").toString("utf8"));
+      if (payload.exp) return payload.exp * 1000;
+    } catch {
+      // No es un JWT legible, usar TTL por defecto
+    }
+  }
+
+  return Date.now() + TOKEN_TTL_DEFAULT;
+}
+
+/**
+ * Hacer login en Rodin y guardar el token obtenido
+ */
+async function login() {
+  const url = urlRodin("auth_login");
 
   const data = qs.stringify({
     usuario: process.env.RODIN_USUARIO,
     password: process.env.RODIN_PASSWORD
   });
 
+  const inicio = Date.now();
+  let response;
   try {
-    const response = await axios.post(url, data, {
+    // Login no es idempotente (emite un token nuevo por llamada): no se reintenta a ciegas
+    response = await llamarRodin("auth_login", () => axios.post(url, data, {
       headers: {
-        "Content-Type": "application/x-www-form-urlencoded"
+        "Content-Type": "application/x-www-form-urlencoded",
+        ...headersCorrelacion()
       },
       timeout: 15000
+    }), { idempotente: false });
+  } catch (error) {
+    // Circuito abierto o cola saturada: no hubo intento de login, no es un problema de credenciales
+    if (error instanceof ErrorApi) throw error;
+
+    logger.error("Error al obtener token", {
+      error,
+      upstream_body: error.response?.data,
+      duration_ms: Date.now() - inicio
+    });
+
+    // Timeouts, red y 5xx: Rodin falló, las credenciales pueden estar bien
+    const status = error.response?.status;
+    if (!status || status >= 500) throw errorDeRodin(error, "Login en Rodin");
+
+    throw new RodinAuthError("No se pudo iniciar sesión en Rodin", {
+      status: error.response?.status || null,
+      detalle: error.message
     });
+  }
+
+  const token = response.data?.token;
+  if (!token) {
+    logger.error("Login de Rodin sin token en la respuesta", { duration_ms: Date.now() - inicio });
+    throw new RodinAuthError("Rodin no devolvió un token", {
+      status: response.status,
+      detalle: response.data?.error || null
+    });
+  }
 
-    return response.data.token;
+  tokenState.token = token;
+  tokenState.expiraEn = calcularExpiracion(token, response.data);
+  tokenState.renovaciones++;
+
+  logger.info("Token de Rodin renovado", {
+    expira_en: new Date(tokenState.expiraEn).toISOString(),
+    duration_ms: Date.now() - inicio
+  });
+  return token;
+}
+
+/**
+ * Obtener token de Rodin (desde cache si sigue vigente)
+ * Varias llamadas concurrentes comparten un mismo login en curso.
+ * @param {Object} options
+ * @param {boolean} options.forzar - Ignorar el token cacheado y hacer login
+ * @returns {Promise<string>} - Token vigente
+ * @throws {RodinAuthError} - Si Rodin rechaza las credenciales
+ * @throws {ErrorApi} - UPSTREAM_TIMEOUT / UPSTREAM_ERROR si Rodin no responde
+ */
+export async function obtenerToken({ forzar = false } = {}) {
+  const vigente = tokenState.token && Date.now() < tokenState.expiraEn - TOKEN_MARGEN_RENOVACION;
+  if (vigente && !forzar) {
+    return tokenState.token;
+  }
+
+  if (!tokenState.loginEnCurso) {
+    tokenState.loginEnCurso = login().finally(() => {
+      tokenState.loginEnCurso = null;
+    });
+  }
+
+  return tokenState.loginEnCurso;
+}
+
+/**
+ * Descartar el token cacheado (p. ej. tras un 401)
+ * Solo lo descarta si sigue siendo el mismo token que falló.
+ */
+export function invalidarToken(token = tokenState.token) {
+  if (tokenState.token === token) {
+    tokenState.token = null;
+    tokenState.expiraEn = 0;
+  }
+}
+
+/**
+ * Ejecutar una llamada a Rodin con token, re-autenticando y reintentando una vez si responde 401
+ * @param {Function} fn - Recibe el token y devuelve la promesa de la llamada
+ */
+export async function conTokenRodin(fn) {
+  const token = await obtenerToken();
+
+  try {
+    return await fn(token);
   } catch (error) {
-    console.error("❌ Error al obtener token:", error.response?.data || error);
-    return null;
+    if (error.response?.status !== 401) throw error;
+
+    logger.warn("Rodin respondió 401, renovando token y reintentando");
+    invalidarToken(token);
+    const nuevoToken = await obtenerToken();
+
+    try {
+      return await fn(nuevoToken);
+    } catch (retryError) {
+      if (retryError.response?.status === 401) {
+        invalidarToken(nuevoToken);
+        throw new RodinAuthError("Token rechazado por Rodin tras renovarlo", {
+          status: 401,
+          detalle: retryError.message
+        });
+      }
+      throw retryError;
+    }
   }
-}
\ No newline at end of file
+}
+
+registrarColector(() => [{
+  nombre: "rodin_token_refreshes_total",
+  tipo: "counter",
+  ayuda: "Logins exitosos en Rodin (token nuevo o renovado)",
+  muestras: [{ valor: tokenState.renovaciones }]
+}]);
+
+/**
+ * Estado del token (sin exponer el token)
+ */
+export function getTokenStats() {
+  return {
+    token_vigente: !!tokenState.token && Date.now() < tokenState.expiraEn,
+    expira_en: tokenState.expiraEn ? new Date(tokenState.expiraEn).toISOString() : null,
+    renovaciones: tokenState.renovaciones,
+    login_en_curso: !!tokenState.loginEnCurso
+  };
+}
@@ -0,0 +1,146 @@
+// services/cacheStorage.js - ALMACENAMIENTO PERSISTENTE PARA ClienteCache
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+// ============================================
+// INTERFAZ DE ALMACENAMIENTO
+// Todo backend implementa (todas async):
+//   cargar()              -> [{ clienteId, item }]  entradas guardadas
+//   guardar(clienteId, item)
+//   eliminar(clienteId)
+//   cargarStats()         -> [[clienteId, stats]]
+//   guardarStats(entries)
+//   describir()           -> { tipo, ... } (síncrono, para estadísticas)
+// Un backend compartido (p. ej. Redis) solo necesita implementar estos métodos.
+// ============================================
+
+/**
+ * Backend en memoria: no persiste nada (comportamiento original)
+ */
+export class MemoriaCacheStorage {
+  async cargar() {
+    return [];
+  }
+
+  async guardar() {}
+
+  async eliminar() {}
+
+  async cargarStats() {
+    return [];
+  }
+
+  async guardarStats() {}
+
+  describir() {
+    return { tipo: "memoria", persistente: false };
+  }
+}
+
+/**
+ * Backend en disco: un archivo JSON por cliente más un archivo de estadísticas
+ * Las escrituras son atómicas (archivo temporal + rename) y se encadenan por cliente.
+ */
+export class ArchivoCacheStorage {
+  constructor(directorio) {
+    this.directorio = directorio;
+    this.colas = new Map();
+    this.listo = fs.mkdir(directorio, { recursive: true });
+  }
+
+  rutaCliente(clienteId) {
+    return path.join(this.directorio, `${Buffer.from(clienteId).toString("base64url")}.json`);
+  }
+
+  rutaStats() {
+    return path.join(this.directorio, "_stats.json");
+  }
+
+  // Encadenar operaciones sobre el mismo archivo para que no se pisen
+  encolar(clave, operacion) {
+    const anterior = this.colas.get(clave) || Promise.resolve();
+    const siguiente = anterior.catch(() => {}).then(operacion);
+    this.colas.set(clave, siguiente);
+    siguiente.finally(() => {
+      if (this.colas.get(clave) === siguiente) this.colas.delete(clave);
+    }).catch(() => {});
+    return siguiente;
+  }
+
+  async escribirAtomico(ruta, contenido) {
+    await this.listo;
+    const temporal = `${ruta}.${process.pid}.tmp`;
+    await fs.writeFile(temporal, contenido, "utf8");
+    await fs.rename(temporal, ruta);
+  }
+
+  async leerJson(ruta) {
+    try {
+      return JSON.parse(await fs.readFile(ruta, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      logger.warn("Archivo de cache ilegible, se ignora", { ruta, error });
+      return null;
+    }
+  }
+
+  async cargar() {
+    await this.listo;
+    const archivos = (await fs.readdir(this.directorio))
+      .filter(nombre => nombre.endsWith(".json") && !nombre.startsWith("_"));
+
+    const entradas = [];
+    for (const nombre of archivos) {
+      const contenido = await this.leerJson(path.join(this.directorio, nombre));
+      if (contenido?.clienteId && contenido.item) {
+        entradas.push(contenido);
+      }
+    }
+    return entradas;
+  }
+
+  guardar(clienteId, item) {
+    const ruta = this.rutaCliente(clienteId);
+    return this.encolar(ruta, () => this.escribirAtomico(ruta, JSON.stringify({ clienteId, item })));
+  }
+
+  eliminar(clienteId) {
+    const ruta = this.rutaCliente(clienteId);
+    return this.encolar(ruta, async () => {
+      await this.listo;
+      await fs.rm(ruta, { force: true });
+    });
+  }
+
+  async cargarStats() {
+    return (await this.leerJson(this.rutaStats())) || [];
+  }
+
+  guardarStats(entries) {
+    const ruta = this.rutaStats();
+    return this.encolar(ruta, () => this.escribirAtomico(ruta, JSON.stringify(entries)));
+  }
+
+  describir() {
+    return { tipo: "archivo", persistente: true, directorio: this.directorio };
+  }
+}
+
+/**
+ * Crear el backend configurado en CACHE_STORAGE (memoria | archivo)
+ */
+export function crearCacheStorage() {
+  const tipo = (process.env.CACHE_STORAGE || "memoria").toLowerCase();
+
+  if (tipo === "archivo") {
+    const directorio = path.resolve(process.env.CACHE_DIR || ".cache/clientes");
+    logger.info("Cache de clientes persistente", { directorio });
+    return new ArchivoCacheStorage(directorio);
+  }
+
+  if (tipo !== "memoria") {
+    logger.warn("CACHE_STORAGE desconocido, usando memoria", { cache_storage: tipo });
+  }
+  return new MemoriaCacheStorage();
+}
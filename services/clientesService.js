@@ -1,13 +1,37 @@
 import axios from "axios";
 import qs from "qs";
-import { obtenerToken } from "./authService.js";
+import { conTokenRodin } from "./authService.js";
+import { logger, headersCorrelacion, ejecutarEnSegundoPlano } from "./logger.js";
+import { llamarRodin } from "./resilienciaRodin.js";
+import { urlRodin } from "./rodinConfig.js";
+import { normalizarClientes, modeloCliente } from "./modelosRodin.js";
+import { errorDeRodin } from "./errores.js";
 
+// Frecuencia de mantenimiento del índice de correos
+const INDICE_REFRESCO_MS = (parseInt(process.env.CLIENTES_INDICE_REFRESCO_MIN) || 15) * 60 * 1000;
+const INDICE_RECONSTRUCCION_MS = (parseInt(process.env.CLIENTES_INDICE_RECONSTRUCCION_HORAS) || 24) * 60 * 60 * 1000;
+const MAX_PAGINAS_CLIENTES = parseInt(process.env.RODIN_MAX_PAGINAS_CLIENTES) || 1000;
+// Un cliente dado de alta en Rodin no espera al refresco: un fallo de búsqueda sincroniza, como mucho una vez por intervalo
+const INDICE_SINCRONIZACION_FALLO_MS = (parseInt(process.env.CLIENTES_INDICE_FALLO_SEG) || 60) * 1000;
 
+
+/**
+ * Obtener una página de clientes en el modelo canónico (ver services/modelosRodin.js)
+ * @returns {Promise<Object>} - { clientes, invalidos } (invalidos: registros descartados)
+ * @throws {ErrorApi} - Si Rodin falla (una caída no se confunde con "sin clientes")
+ */
 export async function obtenerClientes({ pagina = 1, cliente = null, fecha = null }) {
-  const url = "https://rodin.com.mx/b2b/api/get_clientes.php";
-  const token = await obtenerToken();
+  const { clientes, invalidos } = await solicitarClientes({ pagina, cliente, fecha });
+  return { clientes: clientes.map(c => modeloCliente(c)), invalidos };
+}
 
-  if (!token) throw new Error("❌ No se pudo obtener token");
+/**
+ * Solicitar una página de get_clientes.php (propaga los errores, ya tipados)
+ * @returns {Promise<Object>} - { clientes, invalidos, recibidos }: clientes de Rodin ya
+ *   validados, registros descartados y total de registros de la página
+ */
+async function solicitarClientes({ pagina = 1, cliente = null, fecha = null }) {
+  const url = urlRodin("get_clientes");
 
   const data = qs.stringify({
     pagina,
@@ -15,54 +39,273 @@ export async function obtenerClientes({ pagina = 1, cliente = null, fecha = null
     fecha
   });
 
+  const inicio = Date.now();
+  let response;
   try {
-    const response = await axios.post(url, data, {
+    // POST de solo lectura (filtros en el cuerpo): se reintenta como una consulta
+    response = await conTokenRodin(token => llamarRodin("get_clientes", () => axios.post(url, data, {
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
-        "Authorization": `Bearer ${token}`
+        "Authorization": `Bearer ${token}`,
+        ...headersCorrelacion()
       },
       timeout: 15000
-    });
-
-    return response.data.clientes;
+    })));
   } catch (error) {
-    console.error("❌ Error al obtener clientes:", error.response?.data || error);
-    return [];
+    logger.error("Error al obtener clientes", { pagina, error, upstream_body: error.response?.data });
+    throw errorDeRodin(error, "Clientes de Rodin");
   }
+
+  const { clientes, invalidos, recibidos } = normalizarClientes(response.data, { pagina, fecha });
+  logger.debug("Rodin get_clientes", {
+    pagina,
+    fecha,
+    clientes: clientes.length,
+    invalidos,
+    duration_ms: Date.now() - inicio
+  });
+
+  return { clientes, invalidos, recibidos };
 }
 
+// ============================================
+// ÍNDICE EMAIL → CLIENTE (todas las páginas)
+// ============================================
+class IndiceClientesEmail {
+  constructor() {
+    this.porEmail = new Map();
+    this.porCodigo = new Map();
+    this.ultimaSincronizacion = null; // Fecha (YYYY-MM-DD) para el filtro "fecha"
+    this.ultimaReconstruccion = 0;
+    this.sincronizacionEnCurso = null;
+    this.ultimaSincronizacionPorFallo = 0;
+    this.stats = { reconstrucciones: 0, actualizaciones: 0, errores: 0, ultimoError: null, invalidos: 0 };
+  }
+
+  // Normalizar correo para comparar
+  static normalizarEmail(email) {
+    return typeof email === "string" ? email.trim().toLowerCase() : "";
+  }
 
-export async function obtenerClientePorEmail(email) {
-  try {
-    // 1. Obtener la primera página
-    const clientes = await obtenerClientes({ pagina: 1 });
+  // Buscar cliente por correo (sin llamar a Rodin)
+  buscar(email) {
+    return this.porEmail.get(IndiceClientesEmail.normalizarEmail(email)) || null;
+  }
+
+  estaConstruido() {
+    return this.ultimaReconstruccion > 0;
+  }
+
+  // Agregar o reemplazar un cliente, limpiando sus correos anteriores
+  upsert(cliente) {
+    if (!cliente?.cliente) return;
+
+    const anterior = this.porCodigo.get(cliente.cliente);
+    if (anterior) {
+      for (const email of IndiceClientesEmail.correosDe(anterior)) {
+        if (this.porEmail.get(email)?.cliente === cliente.cliente) {
+          this.porEmail.delete(email);
+        }
+      }
+    }
 
-    if (!clientes || clientes.length === 0) {
-      console.log("⚠️ No se recibieron clientes");
-      return null;
+    this.porCodigo.set(cliente.cliente, cliente);
+    for (const email of IndiceClientesEmail.correosDe(cliente)) {
+      // Si dos clientes comparten correo, se conserva el primero indexado
+      if (!this.porEmail.has(email)) {
+        this.porEmail.set(email, cliente);
+      }
     }
+  }
+
+  static correosDe(cliente) {
+    return [cliente.contacto1_correo, cliente.contacto2_correo]
+      .map(IndiceClientesEmail.normalizarEmail)
+      .filter(Boolean);
+  }
+
+  // Recorrer todas las páginas de get_clientes (opcionalmente desde una fecha)
+  async recorrerPaginas(fecha = null) {
+    const clientes = [];
+    const codigosVistos = new Set();
 
-    // 2. Hacer match exacto por correo (corregido)
-    const cliente = clientes.find(
-      c => 
-        c.contacto1_correo?.toLowerCase() === email.toLowerCase() || 
-        c.contacto2_correo?.toLowerCase() === email.toLowerCase()
-    );
-
-    if (cliente) {
-      console.log(`✅ Cliente encontrado: ${cliente.nombre} (${cliente.cliente})`);
-    } else {
-      console.log(`⚠️ Cliente no encontrado para email: ${email}`);
-      // Mostrar los primeros correos disponibles para debug
-      console.log("Primeros 5 clientes con correos:");
-      clientes.slice(0, 5).forEach((c, i) => {
-        console.log(`${i+1}. ${c.nombre} - contacto1: ${c.contacto1_correo}, contacto2: ${c.contacto2_correo}`);
+    for (let pagina = 1; pagina <= MAX_PAGINAS_CLIENTES; pagina++) {
+      const { clientes: lote, invalidos, recibidos } = await solicitarClientes({ pagina, fecha });
+      const nuevos = lote.filter(c => !codigosVistos.has(c.cliente));
+      this.stats.invalidos += invalidos;
+
+      // Página vacía o repetida: fin del recorrido (una página solo con inválidos no lo es)
+      if (recibidos === 0 || (lote.length > 0 && nuevos.length === 0)) break;
+
+      nuevos.forEach(c => {
+        codigosVistos.add(c.cliente);
+        clientes.push(c);
       });
     }
 
-    return cliente || null;
-  } catch (error) {
-    console.error("❌ Error buscando cliente por email:", error);
-    return null;
+    return clientes;
+  }
+
+  // Reconstruir el índice completo
+  async reconstruir() {
+    const inicio = new Date();
+    const clientes = await this.recorrerPaginas();
+
+    this.porEmail = new Map();
+    this.porCodigo = new Map();
+    clientes.forEach(c => this.upsert(c));
+
+    this.ultimaSincronizacion = inicio.toISOString().slice(0, 10);
+    this.ultimaReconstruccion = inicio.getTime();
+    this.stats.reconstrucciones++;
+
+    logger.info("Índice de clientes reconstruido", {
+      clientes: this.porCodigo.size,
+      correos: this.porEmail.size,
+      duration_ms: Date.now() - inicio.getTime()
+    });
+  }
+
+  // Aplicar solo los clientes modificados desde la última sincronización
+  async actualizarIncremental() {
+    const inicio = new Date();
+    const desde = this.ultimaSincronizacion;
+    const cambios = await this.recorrerPaginas(desde);
+
+    cambios.forEach(c => this.upsert(c));
+
+    this.ultimaSincronizacion = inicio.toISOString().slice(0, 10);
+    this.stats.actualizaciones++;
+
+    if (cambios.length > 0) {
+      logger.info("Índice de clientes actualizado", {
+        modificados: cambios.length,
+        desde,
+        duration_ms: Date.now() - inicio.getTime()
+      });
+    }
+  }
+
+  // Sincronizar (completa o incremental según antigüedad); comparte la ejecución en curso
+  sincronizar() {
+    if (this.sincronizacionEnCurso) return this.sincronizacionEnCurso;
+
+    const requiereReconstruccion = !this.estaConstruido() ||
+      Date.now() - this.ultimaReconstruccion > INDICE_RECONSTRUCCION_MS;
+
+    this.sincronizacionEnCurso = (requiereReconstruccion ? this.reconstruir() : this.actualizarIncremental())
+      .catch(error => {
+        this.stats.errores++;
+        this.stats.ultimoError = error.message;
+        logger.error("Error sincronizando índice de clientes", { error });
+        throw error;
+      })
+      .finally(() => {
+        this.sincronizacionEnCurso = null;
+      });
+
+    return this.sincronizacionEnCurso;
+  }
+
+  // Sincronizar tras una búsqueda sin resultado: se une a la sincronización en curso o lanza
+  // una nueva como mucho una vez por INDICE_SINCRONIZACION_FALLO_MS
+  // @returns {Promise<boolean>} - true si se sincronizó y vale la pena buscar de nuevo
+  async sincronizarPorFallo() {
+    const enCurso = !!this.sincronizacionEnCurso;
+    if (!enCurso && Date.now() - this.ultimaSincronizacionPorFallo < INDICE_SINCRONIZACION_FALLO_MS) return false;
+    if (!enCurso) this.ultimaSincronizacionPorFallo = Date.now();
+
+    try {
+      await this.sincronizar();
+      return true;
+    } catch {
+      // Ya registrado en sincronizar(); se responde con el índice actual
+      return false;
+    }
+  }
+
+  getStats() {
+    return {
+      construido: this.estaConstruido(),
+      total_clientes: this.porCodigo.size,
+      total_correos: this.porEmail.size,
+      ultima_sincronizacion: this.ultimaSincronizacion,
+      ultima_reconstruccion: this.ultimaReconstruccion ? new Date(this.ultimaReconstruccion).toISOString() : null,
+      sincronizando: !!this.sincronizacionEnCurso,
+      reconstrucciones: this.stats.reconstrucciones,
+      actualizaciones: this.stats.actualizaciones,
+      errores: this.stats.errores,
+      ultimo_error: this.stats.ultimoError,
+      registros_invalidos: this.stats.invalidos
+    };
+  }
+}
+
+const indiceClientes = new IndiceClientesEmail();
+let mantenimientoIndice = null;
+
+/**
+ * Construir el índice de correos y programar su actualización periódica
+ */
+export function iniciarIndiceClientes() {
+  if (mantenimientoIndice) return;
+
+  const sincronizar = () => ejecutarEnSegundoPlano("indice-clientes", () => indiceClientes.sincronizar().catch(() => {}));
+
+  sincronizar();
+  mantenimientoIndice = setInterval(sincronizar, INDICE_REFRESCO_MS);
+  mantenimientoIndice.unref();
+}
+
+/**
+ * Estado del índice email → cliente
+ */
+export function getIndiceClientesStats() {
+  return indiceClientes.getStats();
+}
+
+/**
+ * Buscar cliente por email en el índice
+ * @returns {Promise<Object|null>} - Cliente de Rodin, o null si el correo no está registrado
+ * @throws {ErrorApi} - Si el índice no se pudo construir (Rodin caído no es "no encontrado")
+ */
+export async function obtenerClientePorEmail(email) {
+  // Match exacto por correo contra todas las páginas indexadas
+  const cliente = await buscarEnIndice(() => indiceClientes.buscar(email));
+
+  if (cliente) {
+    logger.debug("Cliente encontrado por email", { cliente: cliente.cliente });
+  } else {
+    logger.info("Cliente no encontrado para email", {
+      email,
+      correos_indexados: indiceClientes.porEmail.size
+    });
   }
-}
\ No newline at end of file
+
+  return cliente;
+}
+
+/**
+ * Buscar cliente por código en el índice (sin llamar a Rodin)
+ * @throws {ErrorApi} - Si el índice no se pudo construir
+ */
+export async function obtenerClientePorCodigo(codigo) {
+  return buscarEnIndice(() => indiceClientes.porCodigo.get(codigo) || null);
+}
+
+/**
+ * Helper: Buscar en el índice, construyéndolo si hace falta y sincronizando una vez
+ * si no hay resultado (clientes nuevos antes del siguiente refresco)
+ */
+async function buscarEnIndice(buscar) {
+  // 1. Esperar al índice solo si aún no se ha construido (recién sincronizado: no reintentar)
+  if (!indiceClientes.estaConstruido()) {
+    await indiceClientes.sincronizar();
+    return buscar();
+  }
+
+  // 2. Sin resultado: sincronizar (compartido y limitado) y volver a buscar
+  const encontrado = buscar();
+  if (encontrado || !await indiceClientes.sincronizarPorFallo()) return encontrado;
+  return buscar();
+}
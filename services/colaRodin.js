@@ -0,0 +1,203 @@
+// services/colaRodin.js - COLA CENTRAL DE LLAMADAS A RODIN CON PRIORIDAD
+// Limita cuántas llamadas a la API PHP de Rodin hay en vuelo (y opcionalmente cuántas
+// inician por segundo). Las peticiones de compradores pasan antes que el trabajo en
+// segundo plano (pre-calentamiento, índice de clientes).
+import { logger, esSegundoPlano, obtenerContexto } from "./logger.js";
+import { registrarColector } from "./metricas.js";
+import { ErrorApi } from "./errores.js";
+
+const CONFIG = {
+  maxConcurrencia: parseInt(process.env.RODIN_MAX_CONCURRENCIA) || 6,
+  maxRps: parseFloat(process.env.RODIN_MAX_RPS) || 0, // 0 = sin límite
+  maxEnCola: parseInt(process.env.RODIN_COLA_MAX) || 500,
+  // Espera máxima por un turno según prioridad
+  esperaMaxMs: {
+    interactiva: parseInt(process.env.RODIN_COLA_ESPERA_MAX_MS) || 10 * 1000,
+    segundo_plano: parseInt(process.env.RODIN_COLA_ESPERA_MAX_SEGUNDO_PLANO_MS) || 2 * 60 * 1000
+  }
+};
+
+// Orden de atención
+const PRIORIDADES = ["interactiva", "segundo_plano"];
+
+/**
+ * No hubo turno para llamar a Rodin (cola llena o espera máxima agotada)
+ */
+export class RodinSaturadoError extends ErrorApi {
+  constructor(message, { prioridad, esperaMs = 0 } = {}) {
+    super("UPSTREAM_SATURADO", message, { reintentarEnSeg: 5 });
+    this.name = "RodinSaturadoError";
+    this.prioridad = prioridad;
+    this.esperaMs = esperaMs;
+  }
+}
+
+const colas = { interactiva: [], segundo_plano: [] };
+let activas = 0;
+let proximoInicio = 0; // Para el límite de inicios por segundo
+let timerDespacho = null;
+
+const stats = {
+  atendidas: { interactiva: 0, segundo_plano: 0 },
+  rechazadas: { cola_llena: 0, espera_agotada: 0 },
+  esperaTotalMs: 0,
+  esperaMaximaMs: 0
+};
+
+function totalEnCola() {
+  return colas.interactiva.length + colas.segundo_plano.length;
+}
+
+function siguienteEnEspera() {
+  for (const prioridad of PRIORIDADES) {
+    if (colas[prioridad].length > 0) return colas[prioridad].shift();
+  }
+  return null;
+}
+
+// Dar turno a quien espera mientras haya cupo de concurrencia (y de ritmo, si hay límite)
+function despachar() {
+  while (activas < CONFIG.maxConcurrencia && totalEnCola() > 0) {
+    if (CONFIG.maxRps > 0) {
+      const ahora = Date.now();
+      if (ahora < proximoInicio) {
+        if (!timerDespacho) {
+          timerDespacho = setTimeout(() => {
+            timerDespacho = null;
+            despachar();
+          }, proximoInicio - ahora);
+        }
+        return;
+      }
+      proximoInicio = ahora + 1000 / CONFIG.maxRps;
+    }
+
+    const espera = siguienteEnEspera();
+    clearTimeout(espera.timer);
+    iniciar(espera);
+  }
+}
+
+function iniciar({ prioridad, encolado, resolve }) {
+  const esperaMs = Date.now() - encolado;
+  activas++;
+  stats.atendidas[prioridad]++;
+  stats.esperaTotalMs += esperaMs;
+  stats.esperaMaximaMs = Math.max(stats.esperaMaximaMs, esperaMs);
+
+  let liberado = false;
+  resolve(() => {
+    if (liberado) return;
+    liberado = true;
+    activas--;
+    despachar();
+  });
+}
+
+/**
+ * Esperar turno para una llamada a Rodin
+ * @param {string} prioridad - "interactiva" | "segundo_plano" (por defecto según el contexto)
+ * @returns {Promise<Function>} - liberar(): debe llamarse al terminar la llamada
+ * @throws {RodinSaturadoError} - Si la cola está llena o se agota la espera máxima
+ */
+export function esperarTurno(prioridad = esSegundoPlano() ? "segundo_plano" : "interactiva") {
+  if (!colas[prioridad]) prioridad = "interactiva";
+
+  return new Promise((resolve, reject) => {
+    const espera = { prioridad, encolado: Date.now(), resolve, reject, timer: null, contexto: obtenerContexto() };
+
+    // Turno inmediato si hay cupo y nadie esperando (no adelantar a la cola)
+    const sinLimiteRitmo = CONFIG.maxRps === 0 || Date.now() >= proximoInicio;
+    if (activas < CONFIG.maxConcurrencia && totalEnCola() === 0 && sinLimiteRitmo) {
+      if (CONFIG.maxRps > 0) proximoInicio = Date.now() + 1000 / CONFIG.maxRps;
+      return iniciar(espera);
+    }
+
+    if (totalEnCola() >= CONFIG.maxEnCola) {
+      stats.rechazadas.cola_llena++;
+      return reject(new RodinSaturadoError("Demasiadas llamadas a Rodin en espera", { prioridad }));
+    }
+
+    programarEsperaMaxima(espera);
+    colas[prioridad].push(espera);
+    despachar();
+  });
+}
+
+/**
+ * Pasar a prioridad interactiva las llamadas en espera de un contexto en segundo plano
+ * (una petición de comprador se unió a una carga que inició el pre-calentamiento)
+ * @param {Object} ctx - Contexto de las llamadas (ver obtenerContexto en services/logger.js)
+ * @returns {number} - Llamadas promovidas
+ */
+export function promoverContexto(ctx) {
+  const promovidas = colas.segundo_plano.filter(espera => espera.contexto === ctx);
+  if (promovidas.length === 0) return 0;
+
+  colas.segundo_plano = colas.segundo_plano.filter(espera => espera.contexto !== ctx);
+  for (const espera of promovidas) {
+    clearTimeout(espera.timer);
+    espera.prioridad = "interactiva";
+    programarEsperaMaxima(espera);
+    colas.interactiva.push(espera);
+  }
+
+  despachar();
+  return promovidas.length;
+}
+
+// Rechazar la espera si no obtiene turno en el máximo de su prioridad
+function programarEsperaMaxima(espera) {
+  const esperaMax = CONFIG.esperaMaxMs[espera.prioridad];
+  espera.timer = setTimeout(() => {
+    const cola = colas[espera.prioridad];
+    const indice = cola.indexOf(espera);
+    if (indice === -1) return;
+
+    cola.splice(indice, 1);
+    stats.rechazadas.espera_agotada++;
+    logger.warn("Llamada a Rodin sin turno tras la espera máxima", { prioridad: espera.prioridad, espera_ms: esperaMax });
+    espera.reject(new RodinSaturadoError("Rodin saturado: no hubo turno a tiempo", { prioridad: espera.prioridad, esperaMs: esperaMax }));
+  }, esperaMax);
+  espera.timer.unref?.();
+}
+
+registrarColector(() => [{
+  nombre: "rodin_queue_depth",
+  tipo: "gauge",
+  ayuda: "Llamadas a Rodin esperando turno por prioridad",
+  muestras: PRIORIDADES.map(prioridad => ({ etiquetas: { priority: prioridad }, valor: colas[prioridad].length }))
+}, {
+  nombre: "rodin_queue_active",
+  tipo: "gauge",
+  ayuda: "Llamadas a Rodin en vuelo",
+  muestras: [{ valor: activas }]
+}, {
+  nombre: "rodin_queue_rejections_total",
+  tipo: "counter",
+  ayuda: "Llamadas a Rodin rechazadas por la cola",
+  muestras: Object.entries(stats.rechazadas).map(([motivo, valor]) => ({ etiquetas: { reason: motivo }, valor }))
+}]);
+
+/**
+ * Estado de la cola (para estadísticas)
+ */
+export function getColaRodinStats() {
+  const atendidas = stats.atendidas.interactiva + stats.atendidas.segundo_plano;
+
+  return {
+    max_concurrencia: CONFIG.maxConcurrencia,
+    max_rps: CONFIG.maxRps || null,
+    en_vuelo: activas,
+    en_cola: {
+      interactiva: colas.interactiva.length,
+      segundo_plano: colas.segundo_plano.length
+    },
+    max_en_cola: CONFIG.maxEnCola,
+    espera_max_ms: CONFIG.esperaMaxMs,
+    atendidas: { ...stats.atendidas },
+    rechazadas: { ...stats.rechazadas },
+    espera_promedio_ms: atendidas > 0 ? Math.round(stats.esperaTotalMs / atendidas) : 0,
+    espera_maxima_ms: stats.esperaMaximaMs
+  };
+}
@@ -0,0 +1,224 @@
+// services/cotizacionService.js - COTIZACIÓN DE UN CARRITO (SKU + CANTIDAD)
+// El total lo calcula el servidor con la lista del cliente en Rodin, no el navegador con
+// mapa_precios. Cada línea se cobra al precio_final que Rodin da al cliente (el mismo que
+// muestra /completo): ya incluye su descuento y los precios negociados por artículo, así
+// que condiciones.descuento no se vuelve a aplicar. El descuento de la línea es la
+// diferencia contra precio_lista; los impuestos se calculan sobre el importe ya descontado.
+// Las cotizaciones se guardan en memoria hasta que expiran (no se comparten entre instancias).
+import crypto from "crypto";
+import { obtenerClientePorEmail, obtenerClientePorCodigo } from "./clientesService.js";
+import { buscarProductosEnLista } from "./listaPreciosService.js";
+import { modeloCliente } from "./modelosRodin.js";
+import { ErrorApi } from "./errores.js";
+import { logger } from "./logger.js";
+import { registrarColector } from "./metricas.js";
+
+const CONFIG = {
+  vigenciaMs: (parseInt(process.env.COTIZACION_VIGENCIA_MIN) || 30) * 60 * 1000,
+  // Tasa de impuestos sobre el importe con descuento (IVA 16% por defecto; los precios de Rodin no lo incluyen)
+  tasaImpuestos: process.env.COTIZACION_TASA_IMPUESTOS !== undefined
+    ? parseFloat(process.env.COTIZACION_TASA_IMPUESTOS)
+    : 0.16,
+  nombreImpuestos: process.env.COTIZACION_NOMBRE_IMPUESTOS || "IVA",
+  concurrencia: parseInt(process.env.COTIZACION_CONCURRENCIA) || 5
+};
+
+// id → { cotizacion, expiraEn }
+const cotizaciones = new Map();
+
+const stats = {
+  creadas: 0,
+  consultadas: 0,
+  expiradas: 0
+};
+
+/**
+ * Cotizar las líneas de un carrito para un cliente y guardar la cotización
+ * @param {Object} solicitud
+ * @param {string} solicitud.cliente - Código de cliente Rodin o email
+ * @param {Array<{ sku: string, cantidad: number }>} solicitud.lineas
+ * @returns {Promise<Object>} - Cotización (ver armarCotizacion)
+ * @throws {ErrorApi} - CLIENTE_NO_ENCONTRADO, o el error de Rodin si algún SKU no se pudo consultar
+ */
+export async function crearCotizacion({ cliente, lineas }) {
+  const datosCliente = await resolverCliente(cliente.trim());
+
+  // Una consulta por SKU distinto, aunque se repita en varias líneas. El cliente ya está
+  // confirmado: el 404 de un SKU que no está en su lista es una línea sin precio, no un error
+  const skus = [...new Set(lineas.map(l => l.sku.trim()))];
+  const { encontrados, errores } = await buscarProductosEnLista(datosCliente.codigo, skus, {
+    concurrencia: CONFIG.concurrencia,
+    clienteVerificado: true
+  });
+
+  // Sin el precio de todos los SKUs consultables el total no sería confiable
+  if (errores.length > 0) {
+    logger.warn("Cotización abortada: SKUs sin respuesta de Rodin", {
+      cliente: datosCliente.codigo,
+      errores: errores.length
+    });
+    throw errores[0].error;
+  }
+
+  const productos = new Map(encontrados.map(p => [p.articulo, p]));
+  const cotizacion = armarCotizacion(datosCliente, lineas, productos);
+
+  cotizaciones.set(cotizacion.id, { cotizacion, expiraEn: Date.now() + CONFIG.vigenciaMs });
+  stats.creadas++;
+
+  logger.info("Cotización creada", {
+    id: cotizacion.id,
+    cliente: datosCliente.codigo,
+    lineas: lineas.length,
+    sin_precio: cotizacion.lineas_sin_precio.length,
+    total: cotizacion.totales.total
+  });
+
+  return cotizacion;
+}
+
+/**
+ * Cotización vigente por ID
+ * @returns {Object|null} - null si no existe o ya expiró
+ */
+export function obtenerCotizacion(id) {
+  const entrada = cotizaciones.get(id);
+  if (!entrada) return null;
+
+  if (entrada.expiraEn <= Date.now()) {
+    cotizaciones.delete(id);
+    stats.expiradas++;
+    return null;
+  }
+
+  stats.consultadas++;
+  return entrada.cotizacion;
+}
+
+export function getCotizacionesStats() {
+  return {
+    vigentes: cotizaciones.size,
+    vigencia_min: CONFIG.vigenciaMs / 60000,
+    tasa_impuestos: CONFIG.tasaImpuestos,
+    ...stats
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Helper: Cliente de Rodin por código o email, en el modelo canónico
+ */
+async function resolverCliente(identificador) {
+  const esEmail = identificador.includes("@");
+  const cliente = esEmail
+    ? await obtenerClientePorEmail(identificador.toLowerCase())
+    : await obtenerClientePorCodigo(identificador);
+
+  if (!cliente) {
+    throw esEmail
+      ? new ErrorApi("CLIENTE_NO_ENCONTRADO", null, { clave: "error.email_no_encontrado", valores: { email: identificador } })
+      : new ErrorApi("CLIENTE_NO_ENCONTRADO", null, { clave: "error.cliente_no_encontrado", valores: { cliente: identificador } });
+  }
+
+  return modeloCliente(cliente, esEmail ? identificador : null);
+}
+
+/**
+ * Helper: Precios, descuentos, impuestos y totales de las líneas
+ * La moneda de la cotización es la del primer SKU con precio; un SKU en otra moneda
+ * queda sin cotizar (no se suman importes de monedas distintas).
+ */
+function armarCotizacion(cliente, lineas, productos) {
+  const cotizadas = [];
+  const sinPrecio = [];
+  let moneda = null;
+
+  lineas.forEach(({ sku, cantidad }, indice) => {
+    const producto = productos.get(sku.trim());
+    const linea = indice + 1;
+
+    if (!producto) {
+      sinPrecio.push({ linea, sku, cantidad, motivo: "SKU_DESCONOCIDO" });
+      return;
+    }
+
+    moneda = moneda || producto.moneda;
+    if (producto.moneda !== moneda) {
+      sinPrecio.push({ linea, sku, cantidad, motivo: "MONEDA_DISTINTA", moneda: producto.moneda });
+      return;
+    }
+
+    // Un precio_final mayor que el de lista no es descuento: se cobra igual, sin descuento negativo
+    const precioLista = Math.max(producto.precio_lista, producto.precio_final);
+    const importe = redondear(precioLista * cantidad);
+    const importeNeto = redondear(producto.precio_final * cantidad);
+
+    cotizadas.push({
+      linea,
+      sku: producto.articulo,
+      nombre: producto.nombre,
+      cantidad,
+      precio_lista: producto.precio_lista,
+      precio_unitario: producto.precio_final,
+      importe,
+      descuento: redondear(importe - importeNeto),
+      importe_neto: importeNeto
+    });
+  });
+
+  const subtotal = redondear(cotizadas.reduce((suma, l) => suma + l.importe, 0));
+  const descuentos = redondear(cotizadas.reduce((suma, l) => suma + l.descuento, 0));
+  const base = redondear(subtotal - descuentos);
+  const impuestos = redondear(base * CONFIG.tasaImpuestos);
+  const creadaEn = new Date();
+
+  return {
+    id: `cot_${crypto.randomUUID()}`,
+    cliente: {
+      codigo: cliente.codigo,
+      nombre: cliente.nombre,
+      email: cliente.email,
+      lista_precios: cliente.condiciones.lista_precios
+    },
+    moneda: moneda || process.env.RODIN_MONEDA_DEFAULT?.toUpperCase() || "MXN",
+    impuestos: { nombre: CONFIG.nombreImpuestos, tasa: CONFIG.tasaImpuestos },
+    lineas: cotizadas,
+    lineas_sin_precio: sinPrecio,
+    completa: sinPrecio.length === 0,
+    totales: {
+      subtotal,
+      descuentos,
+      base_impuestos: base,
+      impuestos,
+      total: redondear(base + impuestos)
+    },
+    creada_en: creadaEn.toISOString(),
+    expira_en: new Date(creadaEn.getTime() + CONFIG.vigenciaMs).toISOString()
+  };
+}
+
+// Importes a centavos
+function redondear(valor) {
+  return Math.round((valor + Number.EPSILON) * 100) / 100;
+}
+
+// Purgar cotizaciones expiradas
+setInterval(() => {
+  const ahora = Date.now();
+  for (const [id, entrada] of cotizaciones.entries()) {
+    if (entrada.expiraEn <= ahora) {
+      cotizaciones.delete(id);
+      stats.expiradas++;
+    }
+  }
+}, 60 * 1000).unref();
+
+registrarColector(() => [{
+  nombre: "cotizaciones_vigentes",
+  tipo: "gauge",
+  ayuda: "Cotizaciones guardadas que aún no expiran",
+  muestras: [{ valor: cotizaciones.size }]
+}]);
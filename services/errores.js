@@ -0,0 +1,130 @@
+// services/errores.js - ERRORES TIPADOS CON CÓDIGO ESTABLE
+// Los servicios lanzan ErrorApi (o subclases) con un `codigo` que no cambia entre versiones;
+// las rutas responden con responderError(), que fija el status HTTP y un cuerpo uniforme:
+// { success: false, error, codigo, message, requestId, timestamp, ...extra }
+// El frontend debe decidir con `codigo`; `error` y `message` son texto para personas,
+// en el idioma de la petición (ver services/mensajes.js).
+import { IDIOMA_DEFAULT, traducir } from "./mensajes.js";
+
+/**
+ * Catálogo de códigos: status HTTP (el título está en services/mensajes.js, "codigo.<CODIGO>")
+ */
+export const CODIGOS_ERROR = {
+  SOLICITUD_INVALIDA: { status: 400 },
+  NO_AUTENTICADO: { status: 401 },
+  ACCESO_DENEGADO: { status: 403 },
+  ORIGEN_NO_PERMITIDO: { status: 403 },
+  CLIENTE_NO_ENCONTRADO: { status: 404 },
+  COTIZACION_NO_ENCONTRADA: { status: 404 },
+  ENDPOINT_NO_ENCONTRADO: { status: 404 },
+  LIMITE_EXCEDIDO: { status: 429 },
+  ERROR_INTERNO: { status: 500 },
+  UPSTREAM_ERROR: { status: 502 },
+  UPSTREAM_AUTH: { status: 502 },
+  UPSTREAM_RESPUESTA_INVALIDA: { status: 502 },
+  UPSTREAM_NO_DISPONIBLE: { status: 503 },
+  UPSTREAM_SATURADO: { status: 503 },
+  UPSTREAM_TIMEOUT: { status: 504 }
+};
+
+/**
+ * Error con código estable y status HTTP
+ */
+export class ErrorApi extends Error {
+  /**
+   * @param {string} codigo - Clave de CODIGOS_ERROR
+   * @param {string} message - Detalle para el log (y para `message` en español si no hay `clave`)
+   * @param {Object} options
+   * @param {string} options.clave - Mensaje del catálogo para el campo `message` (sin `message`, también el del log)
+   * @param {Object} options.valores - Valores de la clave
+   * @param {string} options.titulo - Clave del catálogo que sustituye al título del código (campo `error`)
+   * @param {number} options.status - Sustituye el status del catálogo
+   * @param {number} options.reintentarEnSeg - Se envía como Retry-After
+   * @param {Error} options.causa - Error original (solo para logs)
+   */
+  constructor(codigo, message, { clave, valores, titulo, status, reintentarEnSeg, causa } = {}) {
+    const codigoValido = CODIGOS_ERROR[codigo] ? codigo : "ERROR_INTERNO";
+    super(message || traducir(IDIOMA_DEFAULT, clave || `detalle.${codigoValido}`, valores));
+    this.name = "ErrorApi";
+    this.codigo = codigoValido;
+    this.status = status || CODIGOS_ERROR[this.codigo].status;
+    this.titulo = titulo || `codigo.${this.codigo}`;
+    this.clave = clave || null;
+    this.valores = valores || {};
+    this.reintentarEnSeg = reintentarEnSeg ?? null;
+    if (causa) this.cause = causa;
+  }
+}
+
+/**
+ * Traducir un error de axios al llamar a Rodin a un ErrorApi
+ * Los 404 dependen del endpoint: quien llama decide (p. ej. CLIENTE_NO_ENCONTRADO).
+ * @param {Error} error - Error de axios (o ya tipado: se devuelve tal cual)
+ * @param {string} contexto - Qué se estaba haciendo (para el mensaje)
+ */
+export function errorDeRodin(error, contexto = "Llamada a Rodin") {
+  if (error instanceof ErrorApi) return error;
+
+  const status = error.response?.status;
+  if (status === 400) {
+    return new ErrorApi("SOLICITUD_INVALIDA", `${contexto}: Rodin rechazó la solicitud (400)`, { causa: error });
+  }
+  if (status === 401 || status === 403) {
+    return new ErrorApi("UPSTREAM_AUTH", `${contexto}: Rodin rechazó las credenciales (${status})`, { causa: error });
+  }
+  if (status) {
+    return new ErrorApi("UPSTREAM_ERROR", `${contexto}: Rodin respondió ${status}`, { causa: error });
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new ErrorApi("UPSTREAM_TIMEOUT", `${contexto}: sin respuesta de Rodin a tiempo`, { causa: error });
+  }
+  if (error.isAxiosError || error.request) {
+    return new ErrorApi("UPSTREAM_ERROR", `${contexto}: error de red (${error.code || error.message})`, { causa: error });
+  }
+  return new ErrorApi("ERROR_INTERNO", error.message, { causa: error });
+}
+
+/**
+ * Cualquier error → ErrorApi (los no tipados son errores internos)
+ */
+export function normalizarError(error) {
+  if (error instanceof ErrorApi) return error;
+  if (error?.isAxiosError) return errorDeRodin(error);
+  return new ErrorApi("ERROR_INTERNO", error?.message, { causa: error });
+}
+
+/**
+ * Responder un error con el status de su código y el cuerpo uniforme
+ * Los errores internos no exponen su mensaje fuera de NODE_ENV=development.
+ * @param {Object} extra - Campos adicionales del cuerpo (cliente, sugerencias...), ya traducidos
+ */
+export function responderError(req, res, error, extra = {}) {
+  const errorApi = normalizarError(error);
+  const ocultarDetalle = errorApi.codigo === "ERROR_INTERNO" && process.env.NODE_ENV !== "development";
+
+  if (errorApi.reintentarEnSeg) {
+    res.set("Retry-After", String(errorApi.reintentarEnSeg));
+  }
+
+  return res.status(errorApi.status).json({
+    success: false,
+    error: traducir(req.idioma, errorApi.titulo),
+    codigo: errorApi.codigo,
+    message: ocultarDetalle ? traducir(req.idioma, "detalle.ERROR_INTERNO") : mensajeDeError(errorApi, req.idioma),
+    ...(errorApi.reintentarEnSeg && { reintentar_en_seg: errorApi.reintentarEnSeg }),
+    ...extra,
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Mensaje de un ErrorApi para la respuesta, en el idioma de la petición
+ * Con `clave` se traduce; sin ella, el detalle técnico solo se muestra en español y en
+ * otros idiomas se usa el mensaje genérico del código.
+ */
+export function mensajeDeError(errorApi, idioma = IDIOMA_DEFAULT) {
+  if (errorApi.clave) return traducir(idioma, errorApi.clave, errorApi.valores);
+  if (idioma === IDIOMA_DEFAULT) return errorApi.message;
+  return traducir(idioma, `detalle.${errorApi.codigo}`);
+}
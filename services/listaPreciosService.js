@@ -1,21 +1,220 @@
 import axios from "axios";
 import qs from "qs";
-import { obtenerToken } from "./authService.js";
+import { conTokenRodin } from "./authService.js";
+import { logger, headersCorrelacion } from "./logger.js";
+import { llamarRodin } from "./resilienciaRodin.js";
+import { urlRodin } from "./rodinConfig.js";
+import { normalizarListaPrecios, modeloCliente } from "./modelosRodin.js";
+import { ErrorApi, errorDeRodin, normalizarError } from "./errores.js";
+
+// Límites del recorrido de páginas en modo completo
+const CONCURRENCIA_PAGINAS = parseInt(process.env.RODIN_CONCURRENCIA_PAGINAS) || 3;
+const MAX_PAGINAS = parseInt(process.env.RODIN_MAX_PAGINAS) || 500;
 
 /**
  * Obtener lista de precios por cliente (CORREGIDO - usa GET)
+ * Con `modo: 'completo'` recorre todas las páginas (ver obtenerListaPreciosCompleta).
  * @param {string} codigoCliente - Código del cliente en Rodin
  * @param {Object} options - Opciones adicionales
- * @returns {Promise<Array>} - Array de productos con precios
+ * @returns {Promise<Array|Object>} - Array de productos con precios, u objeto
+ *   { lista_precios, paginacion } en modo completo
  */
 export async function obtenerListaPreciosPorCliente(codigoCliente, options = {}) {
-  const url = "https://rodin.com.mx/b2b/api/get_lista_precios.php";
-  const token = await obtenerToken();
+  if (options.modo === 'completo') {
+    return obtenerListaPreciosCompleta(codigoCliente, options);
+  }
+
+  const { productos } = await solicitarPaginaListaPrecios(codigoCliente, options);
+  return productos;
+}
+
+/**
+ * Obtener TODAS las páginas de la lista de precios de un cliente
+ * - Usa total_paginas si Rodin lo informa; si no, avanza por lotes hasta
+ *   encontrar una página vacía, incompleta o repetida
+ * - Cada página se reintenta hasta `intentos` veces
+ * @param {string} codigoCliente - Código del cliente en Rodin
+ * @param {Object} options - timeout, intentos, concurrencia, max_paginas
+ * @returns {Promise<Object>} - { lista_precios, paginacion }
+ */
+export async function obtenerListaPreciosCompleta(codigoCliente, options = {}) {
+  const intentos = Math.max(1, parseInt(options.intentos) || 1);
+  const concurrencia = Math.max(1, parseInt(options.concurrencia) || CONCURRENCIA_PAGINAS);
+  const maxPaginas = Math.max(1, parseInt(options.max_paginas) || MAX_PAGINAS);
+  const opcionesPagina = {
+    timeout: options.timeout,
+    ...(options.ultima_actualizacion && { ultima_actualizacion: options.ultima_actualizacion })
+  };
+
+  const startTime = Date.now();
+  const paginas = new Map();
+  const recibidosPorPagina = new Map(); // Registros antes de descartar inválidos (detectan el final)
+  let reintentos = 0;
+  let invalidos = 0;
+
+  const obtenerPagina = async (pagina) => {
+    let resultado;
+    try {
+      resultado = await solicitarPaginaListaPrecios(codigoCliente, {
+        ...opcionesPagina,
+        pagina,
+        intentos,
+        onReintento: () => { reintentos++; }
+      });
+    } catch (error) {
+      // Un 404 después de la primera página indica que ya no hay más páginas
+      if (pagina === 1 || error.codigo !== "CLIENTE_NO_ENCONTRADO") throw error;
+      resultado = { productos: [], meta: {}, invalidos: 0, recibidos: 0 };
+    }
+    paginas.set(pagina, resultado.productos);
+    recibidosPorPagina.set(pagina, resultado.recibidos);
+    invalidos += resultado.invalidos;
+    return resultado;
+  };
 
-  if (!token) {
-    throw new Error("❌ No se pudo obtener token de autenticación");
+  // 1. Primera página: define tamaño de página y, si existe, el total de páginas
+  const primera = await obtenerPagina(1);
+  const tamañoPagina = primera.recibidos;
+  const totalInformado = parseInt(primera.meta.total_paginas ?? primera.meta.paginas) || null;
+
+  let ultimaPagina = 1;
+  let motivoFin = "pagina_vacia";
+
+  if (tamañoPagina === 0) {
+    motivoFin = "pagina_vacia";
+  } else if (totalInformado) {
+    // 2a. Total conocido: pedir el resto con concurrencia acotada
+    ultimaPagina = Math.min(totalInformado, maxPaginas);
+    motivoFin = totalInformado > maxPaginas ? "limite_paginas" : "total_paginas";
+
+    const pendientes = [];
+    for (let p = 2; p <= ultimaPagina; p++) pendientes.push(p);
+    await ejecutarConConcurrencia(pendientes, concurrencia, obtenerPagina);
+  } else {
+    // 2b. Total desconocido: avanzar por lotes hasta detectar el final
+    const skusVistos = new Set(primera.productos.map(p => p.articulo?.toString()));
+    let siguiente = 2;
+    let terminado = false;
+
+    while (!terminado) {
+      if (siguiente > maxPaginas) {
+        motivoFin = "limite_paginas";
+        break;
+      }
+
+      const lote = [];
+      for (let p = siguiente; p < siguiente + concurrencia && p <= maxPaginas; p++) lote.push(p);
+      await ejecutarConConcurrencia(lote, concurrencia, obtenerPagina);
+
+      // Revisar el lote en orden: la primera página final corta el recorrido
+      for (const pagina of lote) {
+        const productos = paginas.get(pagina) || [];
+        const recibidos = recibidosPorPagina.get(pagina) || 0;
+        const repetida = productos.length > 0 &&
+          productos.every(p => skusVistos.has(p.articulo?.toString()));
+
+        if (recibidos === 0 || repetida) {
+          motivoFin = recibidos === 0 ? "pagina_vacia" : "pagina_repetida";
+          terminado = true;
+          break;
+        }
+
+        productos.forEach(p => skusVistos.add(p.articulo?.toString()));
+        ultimaPagina = pagina;
+
+        if (recibidos < tamañoPagina) {
+          motivoFin = "pagina_incompleta";
+          terminado = true;
+          break;
+        }
+      }
+
+      siguiente += lote.length;
+    }
+  }
+
+  // 3. Unir páginas en orden, sin SKUs duplicados
+  const listaPrecios = [];
+  const vistos = new Set();
+  let duplicados = 0;
+
+  for (let p = 1; p <= ultimaPagina; p++) {
+    for (const producto of paginas.get(p) || []) {
+      const sku = producto.articulo?.toString();
+      if (sku && vistos.has(sku)) {
+        duplicados++;
+        continue;
+      }
+      if (sku) vistos.add(sku);
+      listaPrecios.push(producto);
+    }
+  }
+
+  const paginacion = {
+    paginas_obtenidas: ultimaPagina,
+    paginas_solicitadas: paginas.size,
+    productos_obtenidos: listaPrecios.length,
+    duplicados_descartados: duplicados,
+    registros_invalidos: invalidos,
+    reintentos,
+    total_paginas_informado: totalInformado,
+    motivo_fin: motivoFin,
+    tiempo_ms: Date.now() - startTime
+  };
+
+  logger.info("Lista completa obtenida", {
+    cliente: codigoCliente,
+    productos: listaPrecios.length,
+    paginas: ultimaPagina,
+    motivo_fin: motivoFin,
+    reintentos,
+    ...(invalidos > 0 && { registros_invalidos: invalidos }),
+    duration_ms: paginacion.tiempo_ms
+  });
+
+  return { lista_precios: listaPrecios, paginacion };
+}
+
+/**
+ * Obtener solo los artículos modificados desde `desde` (filtro ultima_actualizacion)
+ * @param {string} codigoCliente - Código del cliente en Rodin
+ * @param {string} desde - Marca de sincronización previa (ver marcaUltimaActualizacion)
+ * @returns {Promise<Object>} - { lista_precios, paginacion } solo con los cambios
+ */
+export async function obtenerCambiosListaPrecios(codigoCliente, desde, options = {}) {
+  if (!desde) {
+    throw new ErrorApi("ERROR_INTERNO", "Se requiere marca de última actualización para sincronizar cambios");
   }
 
+  logger.info("Solicitando cambios de lista de precios", { cliente: codigoCliente, desde });
+  return obtenerListaPreciosCompleta(codigoCliente, { ...options, ultima_actualizacion: desde });
+}
+
+/**
+ * Marca de sincronización: la `ultima_actualizacion` más reciente de la lista
+ * Se usa el reloj de Rodin (no el del proxy) para no perder cambios por desfase.
+ * @returns {string|null} - null si los productos no traen ultima_actualizacion
+ */
+export function marcaUltimaActualizacion(productos) {
+  if (!Array.isArray(productos)) return null;
+
+  return productos.reduce((max, producto) => {
+    const fecha = producto?.ultima_actualizacion;
+    return fecha && (!max || String(fecha) > max) ? String(fecha) : max;
+  }, null);
+}
+
+/**
+ * Solicitar UNA página de get_lista_precios.php
+ * Reintentos y circuit breaker: ver services/resilienciaRodin.js (options.intentos, options.onReintento)
+ * @returns {Promise<Object>} - { productos, meta, invalidos, recibidos }: productos ya
+ *   normalizados (ver services/modelosRodin.js), meta son los campos extra de la respuesta
+ *   (p. ej. total_paginas), invalidos los artículos descartados por mal formados y
+ *   recibidos el total de registros de la página
+ */
+async function solicitarPaginaListaPrecios(codigoCliente, options = {}) {
+  const url = urlRodin("get_lista_precios");
+
   // Construir parámetros según la documentación PHP
   const params = {
     cliente: codigoCliente,
@@ -28,89 +227,93 @@ export async function obtenerListaPreciosPorCliente(codigoCliente, options = {})
   const queryString = new URLSearchParams(params).toString();
   const fullUrl = `${url}?${queryString}`;
 
-  console.log(`🔍 Solicitando lista de precios:`, {
-    url: fullUrl,
-    cliente: codigoCliente,
-    params: params
-  });
+  logger.debug("Solicitando lista de precios", { url: fullUrl, cliente: codigoCliente, params });
 
+  const inicio = Date.now();
   try {
-    const response = await axios.get(fullUrl, {
+    const response = await conTokenRodin(token => llamarRodin("get_lista_precios", () => axios.get(fullUrl, {
       headers: {
         "Content-Type": "application/json",
         "Authorization": `Bearer ${token}`,
-        "Accept": "application/json"
+        "Accept": "application/json",
+        ...headersCorrelacion()
       },
       timeout: options.timeout || 30000,
-    });
+    }), { intentos: options.intentos, onReintento: options.onReintento }));
 
-    console.log(`📊 Respuesta lista precios para ${codigoCliente}:`, {
+    logger.debug("Respuesta lista de precios", {
+      cliente: codigoCliente,
+      pagina: params.pagina,
       status: response.status,
-      tieneData: !!response.data,
-      dataKeys: response.data ? Object.keys(response.data) : 'no data'
+      data_keys: response.data ? Object.keys(response.data) : null,
+      duration_ms: Date.now() - inicio
     });
 
-    // Manejar respuesta
-    if (response.data) {
-      // Si es string, parsear
-      if (typeof response.data === 'string') {
-        try {
-          const parsed = JSON.parse(response.data);
-          if (parsed.lista_precios && Array.isArray(parsed.lista_precios)) {
-            console.log(`✅ Lista de precios obtenida: ${parsed.lista_precios.length} productos`);
-            return parsed.lista_precios;
-          }
-          return parsed;
-        } catch (parseError) {
-          console.error(`❌ Error parseando JSON:`, parseError.message);
-          return [];
-        }
-      }
-      
-      // Si ya es objeto
-      if (response.data.lista_precios && Array.isArray(response.data.lista_precios)) {
-        console.log(`✅ Lista de precios obtenida: ${response.data.lista_precios.length} productos`);
-        return response.data.lista_precios;
-      }
-      
-      // Si es array directo
-      if (Array.isArray(response.data)) {
-        console.log(`✅ Array directo: ${response.data.length} productos`);
-        return response.data;
-      }
-      
-      // Si hay error
-      if (response.data.error) {
-        console.error(`❌ Error en respuesta Rodin:`, response.data.error);
-        throw new Error(response.data.error);
-      }
-    }
+    // Validar el payload y convertir cada artículo al modelo canónico
+    const { productos, meta, invalidos, recibidos } = normalizarListaPrecios(response.data, {
+      cliente: codigoCliente,
+      pagina: params.pagina
+    });
 
-    console.warn("⚠️ Respuesta vacía o formato no reconocido");
-    return [];
+    logger.debug("Página de lista de precios obtenida", {
+      cliente: codigoCliente,
+      pagina: params.pagina,
+      productos: productos.length,
+      invalidos
+    });
+    return { productos, meta, invalidos, recibidos };
 
   } catch (error) {
-    console.error("❌ Error al obtener lista de precios:", {
+    // Ya tipados: auth, circuito, cola, payload inválido o { error } de Rodin
+    if (error instanceof ErrorApi) throw error;
+
+    logger.error("Error al obtener lista de precios", {
       cliente: codigoCliente,
-      errorMessage: error.message,
-      responseStatus: error.response?.status,
-      responseData: error.response?.data
+      pagina: params.pagina,
+      error,
+      upstream_body: error.response?.data,
+      duration_ms: Date.now() - inicio
     });
 
-    if (error.response) {
-      if (error.response.status === 401) {
-        throw new Error("Token expirado o inválido");
-      } else if (error.response.status === 404) {
-        throw new Error(`Cliente ${codigoCliente} no encontrado`);
-      } else if (error.response.status === 400) {
-        throw new Error(`Solicitud inválida para cliente ${codigoCliente}`);
-      }
+    // Un 404 de get_lista_precios es "cliente no encontrado" (o fin de páginas, ver el recorrido)
+    if (error.response?.status === 404) {
+      throw new ErrorApi("CLIENTE_NO_ENCONTRADO", null, {
+        clave: "error.cliente_no_encontrado",
+        valores: { cliente: codigoCliente },
+        causa: error
+      });
     }
-
-    throw new Error(`Error al obtener lista de precios: ${error.message}`);
+    throw errorDeRodin(error, `Lista de precios de ${codigoCliente}`);
   }
 }
 
+/**
+ * Helper: Ejecutar `fn` sobre cada elemento con un máximo de `limite` en paralelo
+ */
+async function ejecutarConConcurrencia(items, limite, fn) {
+  const resultados = new Array(items.length);
+  let indice = 0;
+
+  const worker = async () => {
+    while (indice < items.length) {
+      const actual = indice++;
+      resultados[actual] = await fn(items[actual], actual);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limite, items.length) }, worker));
+  return resultados;
+}
+
+/**
+ * Helper: ¿Existe el cliente en Rodin? (índice de clientes, sin pedir otra lista)
+ * @throws {ErrorApi} - Si el índice no se pudo construir (Rodin caído no es "no encontrado")
+ */
+async function existeCliente(codigoCliente) {
+  const { obtenerClientePorCodigo } = await import("./clientesService.js");
+  return !!await obtenerClientePorCodigo(codigoCliente);
+}
+
 /**
  * Obtener lista de precios por email del cliente
  */
@@ -122,55 +325,29 @@ export async function obtenerListaPreciosPorEmail(email, options = {}) {
     const cliente = await obtenerClientePorEmail(email);
     
     if (!cliente) {
-      throw new Error(`Cliente con email ${email} no encontrado`);
-    }
-
-    if (!cliente.cliente) {
-      throw new Error(`Cliente encontrado pero sin código (ID) asociado`);
+      throw new ErrorApi("CLIENTE_NO_ENCONTRADO", null, { clave: "error.email_no_encontrado", valores: { email } });
     }
 
-    console.log(`✅ Cliente encontrado: ${cliente.nombre} (${cliente.cliente})`);
+    logger.debug("Cliente encontrado por email", { cliente: cliente.cliente });
     
-    // Obtener lista de precios
-    const listaPrecios = await obtenerListaPreciosPorCliente(cliente.cliente, options);
+    // Obtener lista de precios (en modo completo viene con info de paginación)
+    const resultado = await obtenerListaPreciosPorCliente(cliente.cliente, options);
+    const listaPrecios = Array.isArray(resultado) ? resultado : (resultado?.lista_precios || []);
     
     // Enriquecer respuesta
     return {
-      cliente: {
-        codigo: cliente.cliente,
-        nombre: cliente.nombre,
-        email: cliente.contacto1_correo || cliente.contacto2_correo || email,
-        telefono: cliente.contacto_telefonos,
-        direccion: {
-          calle: cliente.calle,
-          numero_exterior: cliente.exterior,
-          numero_interior: cliente.interior,
-          colonia: cliente.colonia,
-          municipio: cliente.delegacion,
-          estado: cliente.estado,
-          pais: cliente.pais,
-          cp: cliente.cp
-        },
-        condiciones: {
-          credito: cliente.credito_disponible > 0 ? 'Con crédito' : 'Sin crédito',
-          credito_disponible: cliente.credito_disponible,
-          credito_asignado: cliente.credito_asignado,
-          condicion_pago: cliente.condicion,
-          descuento: cliente.descuento,
-          lista_precios: cliente.lista_precios,
-          status: cliente.status
-        }
-      },
+      cliente: modeloCliente(cliente, email),
       lista_precios: listaPrecios,
       total_productos: Array.isArray(listaPrecios) ? listaPrecios.length : 0,
       timestamp: new Date().toISOString(),
       ultima_actualizacion: Array.isArray(listaPrecios) && listaPrecios.length > 0 
         ? listaPrecios[0].ultima_actualizacion 
-        : null
+        : null,
+      ...(resultado?.paginacion && { paginacion: resultado.paginacion })
     };
 
   } catch (error) {
-    console.error("❌ Error en obtenerListaPreciosPorEmail:", error);
+    logger.error("Error en obtenerListaPreciosPorEmail", { error });
     throw error;
   }
 }
@@ -190,11 +367,64 @@ export async function buscarProductoEnLista(codigoCliente, sku) {
 
     // Encontrar el producto exacto
     return listaPrecios.find(producto => 
-      producto.articulo?.toString() === sku.toString()
+      producto.articulo === sku.toString()
     ) || null;
 
   } catch (error) {
-    console.error("❌ Error en buscarProductoEnLista:", error);
+    logger.error("Error en buscarProductoEnLista", { cliente: codigoCliente, sku, error });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Buscar varios SKUs (filtro `articulo`) con paralelismo acotado
+ * Un SKU que falla no invalida a los demás.
+ * Rodin responde 404 tanto si el cliente no existe como si el SKU no está en su lista: con el
+ * cliente confirmado (otro SKU encontrado, el índice de clientes o `clienteVerificado`) el 404
+ * es un SKU no encontrado; si el cliente no existe, se lanza CLIENTE_NO_ENCONTRADO.
+ * @param {string} codigoCliente - Código del cliente en Rodin
+ * @param {Array<string>} skus - SKUs a buscar
+ * @param {Object} options - concurrencia, clienteVerificado (el llamador ya confirmó el cliente)
+ * @returns {Promise<Object>} - { encontrados, no_encontrados, errores: [{ articulo, codigo, error: ErrorApi }] }
+ * @throws {ErrorApi} - CLIENTE_NO_ENCONTRADO si el cliente no existe en Rodin
+ */
+export async function buscarProductosEnLista(codigoCliente, skus, options = {}) {
+  const concurrencia = Math.max(1, parseInt(options.concurrencia) || CONCURRENCIA_PAGINAS);
+  const encontrados = [];
+  const noEncontrados = [];
+  let errores = [];
+
+  await ejecutarConConcurrencia(skus, concurrencia, async (sku) => {
+    try {
+      const producto = await buscarProductoEnLista(codigoCliente, sku);
+      if (producto) {
+        encontrados.push(producto);
+      } else {
+        noEncontrados.push(sku);
+      }
+    } catch (error) {
+      const errorApi = normalizarError(error);
+      errores.push({ articulo: sku, codigo: errorApi.codigo, error: errorApi });
+    }
+  });
+
+  // 404 por SKU: confirmar el cliente una sola vez
+  const sinCliente = errores.filter(e => e.codigo === "CLIENTE_NO_ENCONTRADO");
+  if (sinCliente.length > 0) {
+    const clienteExiste = options.clienteVerificado || encontrados.length > 0 ||
+      await existeCliente(codigoCliente);
+    if (!clienteExiste) throw sinCliente[0].error;
+
+    noEncontrados.push(...sinCliente.map(e => e.articulo));
+    errores = errores.filter(e => e.codigo !== "CLIENTE_NO_ENCONTRADO");
+  }
+
+  logger.info("Búsqueda de SKUs completada", {
+    cliente: codigoCliente,
+    encontrados: encontrados.length,
+    no_encontrados: noEncontrados.length,
+    errores: errores.length
+  });
+
+  return { encontrados, no_encontrados: noEncontrados, errores };
+}
@@ -0,0 +1,109 @@
+// services/logger.js - LOGS ESTRUCTURADOS (JSON) CON ID DE CORRELACIÓN
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import { redactar } from "./redaccion.js";
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+const NIVEL_MINIMO = NIVELES[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? NIVELES.info;
+
+// Contexto por petición (o por tarea en segundo plano): { requestId }
+const contexto = new AsyncLocalStorage();
+
+/**
+ * Ejecutar `fn` con un contexto de correlación (todo lo que se llame dentro lo hereda)
+ */
+export function ejecutarConContexto(ctx, fn) {
+  return contexto.run(ctx, fn);
+}
+
+/**
+ * Ejecutar una tarea en segundo plano con su propio ID (p. ej. "precalentamiento-3f2a...")
+ * Sus llamadas a Rodin se atienden después de las interactivas (ver services/colaRodin.js).
+ */
+export function ejecutarEnSegundoPlano(nombre, fn) {
+  return contexto.run({ requestId: `${nombre}-${crypto.randomUUID().slice(0, 8)}`, segundoPlano: true }, fn);
+}
+
+/**
+ * ¿El código actual corre dentro de una tarea en segundo plano?
+ */
+export function esSegundoPlano() {
+  return !!contexto.getStore()?.segundoPlano;
+}
+
+/**
+ * Contexto actual (el mismo objeto que ven las llamadas hechas dentro), o null
+ */
+export function obtenerContexto() {
+  return contexto.getStore() || null;
+}
+
+/**
+ * ID de correlación actual (null fuera de una petición o tarea)
+ */
+export function obtenerRequestId() {
+  return contexto.getStore()?.requestId || null;
+}
+
+/**
+ * Header para propagar el ID de correlación a Rodin ({} fuera de contexto)
+ */
+export function headersCorrelacion() {
+  const requestId = obtenerRequestId();
+  return requestId ? { "X-Request-Id": requestId } : {};
+}
+
+function serializarError(error) {
+  // Los ErrorApi guardan el error de axios original en `cause`
+  const upstreamStatus = error.response?.status ?? error.cause?.response?.status ?? error.upstreamStatus;
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.codigo && { codigo: error.codigo }),
+    ...(error.status && { status: error.status }),
+    ...(upstreamStatus && { upstream_status: upstreamStatus }),
+    ...(NIVEL_MINIMO <= NIVELES.debug && { stack: error.stack })
+  };
+}
+
+// Errores (incluidos los de axios, circulares) se reducen a sus campos útiles
+function normalizar(valor) {
+  if (valor instanceof Error) return serializarError(valor);
+  return valor;
+}
+
+function escribir(nivel, mensaje, campos = {}) {
+  if (NIVELES[nivel] < NIVEL_MINIMO) return;
+
+  const requestId = obtenerRequestId();
+  const linea = {
+    timestamp: new Date().toISOString(),
+    level: nivel,
+    msg: mensaje,
+    ...(requestId && { request_id: requestId })
+  };
+
+  for (const [clave, valor] of Object.entries(campos)) {
+    linea[clave] = normalizar(valor);
+  }
+
+  // Nada llega a la salida sin pasar por la redacción de datos personales y secretos
+  let texto;
+  try {
+    texto = JSON.stringify(redactar(linea));
+  } catch {
+    texto = JSON.stringify(redactar({ ...linea, campos_omitidos: "no serializables" }), (clave, valor) =>
+      clave === "" || typeof valor !== "object" ? valor : undefined);
+  }
+
+  (NIVELES[nivel] >= NIVELES.warn ? process.stderr : process.stdout).write(texto + "\n");
+}
+
+export const logger = {
+  debug: (mensaje, campos) => escribir("debug", mensaje, campos),
+  info: (mensaje, campos) => escribir("info", mensaje, campos),
+  warn: (mensaje, campos) => escribir("warn", mensaje, campos),
+  error: (mensaje, campos) => escribir("error", mensaje, campos)
+};
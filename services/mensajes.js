@@ -0,0 +1,291 @@
+// services/mensajes.js - CATÁLOGOS DE MENSAJES (ES / EN)
+// Todo texto para personas que sale en una respuesta se toma de aquí según el idioma de la
+// petición (req.idioma, ver middleware/idioma.js). Los campos que lee una máquina (codigo,
+// regla, nivel, scope...) no se traducen. Los logs siguen en español.
+
+export const IDIOMAS = ["es", "en"];
+export const IDIOMA_DEFAULT = "es";
+
+// Locale para formatear números en los mensajes
+const LOCALES = { es: "es-MX", en: "en-US" };
+
+const CATALOGOS = {
+  es: {
+    // Título de cada código de error (campo `error`)
+    "codigo.SOLICITUD_INVALIDA": "Solicitud inválida",
+    "codigo.NO_AUTENTICADO": "Autenticación requerida",
+    "codigo.ACCESO_DENEGADO": "Acceso denegado",
+    "codigo.ORIGEN_NO_PERMITIDO": "Origen no permitido",
+    "codigo.CLIENTE_NO_ENCONTRADO": "Cliente no encontrado",
+    "codigo.COTIZACION_NO_ENCONTRADA": "Cotización no encontrada",
+    "codigo.ENDPOINT_NO_ENCONTRADO": "Endpoint no encontrado",
+    "codigo.LIMITE_EXCEDIDO": "Demasiadas solicitudes",
+    "codigo.ERROR_INTERNO": "Error interno del servidor",
+    "codigo.UPSTREAM_ERROR": "Error de Rodin",
+    "codigo.UPSTREAM_AUTH": "El proxy no pudo autenticarse en Rodin",
+    "codigo.UPSTREAM_RESPUESTA_INVALIDA": "Respuesta de Rodin inválida",
+    "codigo.UPSTREAM_NO_DISPONIBLE": "Rodin no disponible temporalmente",
+    "codigo.UPSTREAM_SATURADO": "Rodin saturado",
+    "codigo.UPSTREAM_TIMEOUT": "Rodin no respondió a tiempo",
+
+    // Mensaje genérico de cada código (cuando el error no trae uno del catálogo)
+    "detalle.SOLICITUD_INVALIDA": "La solicitud no es válida",
+    "detalle.NO_AUTENTICADO": "Se requiere autenticación",
+    "detalle.ACCESO_DENEGADO": "No tiene acceso a este recurso",
+    "detalle.ORIGEN_NO_PERMITIDO": "Origen no permitido",
+    "detalle.CLIENTE_NO_ENCONTRADO": "El cliente no existe en Rodin",
+    "detalle.COTIZACION_NO_ENCONTRADA": "La cotización no existe o ya expiró",
+    "detalle.ENDPOINT_NO_ENCONTRADO": "La ruta no existe",
+    "detalle.LIMITE_EXCEDIDO": "Por favor, espera antes de hacer más solicitudes",
+    "detalle.ERROR_INTERNO": "Contacta al administrador",
+    "detalle.UPSTREAM_ERROR": "Rodin respondió con un error",
+    "detalle.UPSTREAM_AUTH": "No se pudo iniciar sesión en Rodin",
+    "detalle.UPSTREAM_RESPUESTA_INVALIDA": "Rodin envió una respuesta que no se pudo interpretar",
+    "detalle.UPSTREAM_NO_DISPONIBLE": "Rodin no está disponible por el momento; intente más tarde",
+    "detalle.UPSTREAM_SATURADO": "Rodin está atendiendo demasiadas solicitudes; intente más tarde",
+    "detalle.UPSTREAM_TIMEOUT": "Rodin no respondió a tiempo",
+
+    // Títulos específicos
+    "titulo.firma_requerida": "Firma requerida",
+    "titulo.firma_invalida": "Firma inválida",
+    "titulo.firma_expirada": "Firma expirada",
+    "titulo.sesion_requerida": "Sesión requerida",
+    "titulo.cliente_no_vinculado": "Cliente no vinculado",
+    "titulo.autorizacion_invalida": "Autorización inválida",
+    "titulo.api_key_invalida": "API key inválida",
+    "titulo.api_key_requerida": "API key requerida",
+    "titulo.permiso_insuficiente": "Permiso insuficiente",
+    "titulo.cliente_no_permitido": "Cliente no permitido",
+
+    // Errores
+    "error.app_proxy_requerido": "Esta ruta solo es accesible a través de Shopify App Proxy",
+    "error.firma_invalida": "La firma de Shopify App Proxy no es válida",
+    "error.firma_expirada": "La petición de App Proxy es demasiado antigua",
+    "error.sesion_requerida": "Inicia sesión en la tienda para ver tus precios",
+    "error.ruta_no_disponible_tienda": "Esta ruta no está disponible para clientes de la tienda",
+    "error.cliente_no_vinculado": "Tu cuenta no está vinculada a un cliente Rodin",
+    "error.solo_cuenta_propia": "Solo puedes consultar la información de tu propia cuenta",
+    "error.autorizacion_formato": "Use el header 'Authorization: Bearer <api-key>'",
+    "error.api_key_invalida": "La API key no existe o fue revocada",
+    "error.api_key_requerida": "Envíe 'Authorization: Bearer <api-key>'",
+    "error.api_key_sin_scope": "La key '{key}' no tiene el scope requerido",
+    "error.api_key_limitada": "La key '{key}' está limitada a clientes específicos",
+    "error.api_key_sin_acceso": "La key '{key}' no tiene acceso a este cliente",
+    "error.limite_excedido": "Por favor, espera antes de hacer más solicitudes",
+    "error.endpoint_no_encontrado": "La ruta {ruta} no existe",
+    "error.origen_no_permitido": "Origen no permitido",
+    "error.json_invalido": "El cuerpo no es JSON válido",
+    "error.cliente_no_encontrado": "Cliente {cliente} no encontrado",
+    "error.email_no_encontrado": "No hay cliente registrado con el email {email}",
+    "error.cotizacion_no_encontrada": "La cotización {id} no existe o ya expiró",
+    "error.parametros_invalidos": "Parámetros inválidos: {detalle}",
+
+    // Validación de parámetros (campo `mensaje` de errores_validacion)
+    "validacion.requerido": "es requerido",
+    "validacion.repetido": "no debe repetirse",
+    "validacion.formato_no_soportado": "formato no soportado",
+    "validacion.entero": "debe ser un número entero",
+    "validacion.numero": "debe ser un número",
+    "validacion.booleano": "debe ser true o false",
+    "validacion.tipo": "debe ser de tipo {tipo}",
+    "validacion.enum": "debe ser uno de: {opciones}",
+    "validacion.minimo": "debe ser mayor o igual a {minimo}",
+    "validacion.maximo": "debe ser menor o igual a {maximo}",
+    "validacion.vacio": "no puede estar vacío",
+    "validacion.min_longitud": "debe tener al menos {minimo} caracteres",
+    "validacion.max_longitud": "debe tener como máximo {maximo} caracteres",
+    "validacion.patron": "no cumple el formato {patron}",
+    "validacion.formato_email": "debe ser un email válido",
+    "validacion.formato_date": "debe ser una fecha YYYY-MM-DD",
+    "validacion.min_elementos": "debe tener al menos {minimo} elementos",
+    "validacion.max_elementos": "debe tener como máximo {maximo} elementos",
+    "validacion.no_permitido": "campo no permitido",
+    "validacion.cuerpo_requerido": "se requiere un cuerpo JSON (Content-Type: application/json)",
+
+    // Recomendaciones de /completo (generateRecommendations)
+    "recomendacion.lista_muy_grande": "Cliente con {total} productos",
+    "recomendacion.lista_muy_grande.accion": "Usar carga progresiva en frontend",
+    "recomendacion.lista_muy_grande.tecnica": "Virtual scrolling + IndexedDB",
+    "recomendacion.lista_grande": "Cliente con {total} productos",
+    "recomendacion.lista_grande.accion": "Cachear en IndexedDB",
+    "recomendacion.lista_grande.tecnica": "Lazy loading por lotes",
+    "recomendacion.tiempo_alto": "Tiempo de obtención alto: {tiempo}ms",
+    "recomendacion.tiempo_alto.accion": "Considerar paginación",
+    "recomendacion.tiempo_alto.tecnica": "Usar endpoint paginado para carga inicial",
+
+    // Otros textos de las rutas de precios
+    "sugerencia.verificar_cliente": "Verifique que el cliente exista en Rodin",
+    "sugerencia.probar_email": "Intente con el email si tiene uno",
+    "sugerencia.contactar_admin": "Contacte al administrador si el problema persiste",
+    "completo.sin_paginacion": "Endpoint /completo entrega todos los productos",
+    "visibles.errores_rodin": "Algunos SKUs no pudieron consultarse en Rodin. Reintente más tarde.",
+    "visibles.no_encontrados": "Algunos SKUs no encontrados. Verifique los códigos o actualice cache.",
+    "visibles.todos_encontrados": "Todos los SKUs encontrados exitosamente",
+    "legacy.recomendacion": "Migre al endpoint /completo para mejor rendimiento",
+    "estadisticas.completo.descripcion": "Obtiene TODOS los productos de un cliente",
+    "estadisticas.completo.uso": "Carga inicial y cache",
+    "estadisticas.visibles.descripcion": "Obtiene solo productos visibles en viewport",
+    "estadisticas.visibles.uso": "Carga progresiva en frontend",
+    "estadisticas.legacy.descripcion": "Endpoint original con paginación",
+    "estadisticas.legacy.uso": "Compatibilidad",
+    "estadisticas.recomendacion.completo": "Use /completo una vez por sesión por cliente",
+    "estadisticas.recomendacion.visibles": "Use /visibles para carga progresiva",
+    "estadisticas.recomendacion.indexeddb": "Configure IndexedDB en frontend para cache persistente"
+  },
+
+  en: {
+    "codigo.SOLICITUD_INVALIDA": "Invalid request",
+    "codigo.NO_AUTENTICADO": "Authentication required",
+    "codigo.ACCESO_DENEGADO": "Access denied",
+    "codigo.ORIGEN_NO_PERMITIDO": "Origin not allowed",
+    "codigo.CLIENTE_NO_ENCONTRADO": "Customer not found",
+    "codigo.COTIZACION_NO_ENCONTRADA": "Quote not found",
+    "codigo.ENDPOINT_NO_ENCONTRADO": "Endpoint not found",
+    "codigo.LIMITE_EXCEDIDO": "Too many requests",
+    "codigo.ERROR_INTERNO": "Internal server error",
+    "codigo.UPSTREAM_ERROR": "Rodin error",
+    "codigo.UPSTREAM_AUTH": "The proxy could not authenticate with Rodin",
+    "codigo.UPSTREAM_RESPUESTA_INVALIDA": "Invalid response from Rodin",
+    "codigo.UPSTREAM_NO_DISPONIBLE": "Rodin temporarily unavailable",
+    "codigo.UPSTREAM_SATURADO": "Rodin overloaded",
+    "codigo.UPSTREAM_TIMEOUT": "Rodin did not respond in time",
+
+    "detalle.SOLICITUD_INVALIDA": "The request is not valid",
+    "detalle.NO_AUTENTICADO": "Authentication is required",
+    "detalle.ACCESO_DENEGADO": "You do not have access to this resource",
+    "detalle.ORIGEN_NO_PERMITIDO": "Origin not allowed",
+    "detalle.CLIENTE_NO_ENCONTRADO": "The customer does not exist in Rodin",
+    "detalle.COTIZACION_NO_ENCONTRADA": "The quote does not exist or has expired",
+    "detalle.ENDPOINT_NO_ENCONTRADO": "The route does not exist",
+    "detalle.LIMITE_EXCEDIDO": "Please wait before making more requests",
+    "detalle.ERROR_INTERNO": "Contact the administrator",
+    "detalle.UPSTREAM_ERROR": "Rodin responded with an error",
+    "detalle.UPSTREAM_AUTH": "Could not log in to Rodin",
+    "detalle.UPSTREAM_RESPUESTA_INVALIDA": "Rodin sent a response that could not be read",
+    "detalle.UPSTREAM_NO_DISPONIBLE": "Rodin is currently unavailable; try again later",
+    "detalle.UPSTREAM_SATURADO": "Rodin is handling too many requests; try again later",
+    "detalle.UPSTREAM_TIMEOUT": "Rodin did not respond in time",
+
+    "titulo.firma_requerida": "Signature required",
+    "titulo.firma_invalida": "Invalid signature",
+    "titulo.firma_expirada": "Signature expired",
+    "titulo.sesion_requerida": "Login required",
+    "titulo.cliente_no_vinculado": "Customer not linked",
+    "titulo.autorizacion_invalida": "Invalid authorization",
+    "titulo.api_key_invalida": "Invalid API key",
+    "titulo.api_key_requerida": "API key required",
+    "titulo.permiso_insuficiente": "Insufficient permission",
+    "titulo.cliente_no_permitido": "Customer not allowed",
+
+    "error.app_proxy_requerido": "This route is only accessible through Shopify App Proxy",
+    "error.firma_invalida": "The Shopify App Proxy signature is not valid",
+    "error.firma_expirada": "The App Proxy request is too old",
+    "error.sesion_requerida": "Log in to the store to see your prices",
+    "error.ruta_no_disponible_tienda": "This route is not available to store customers",
+    "error.cliente_no_vinculado": "Your account is not linked to a Rodin customer",
+    "error.solo_cuenta_propia": "You can only view information for your own account",
+    "error.autorizacion_formato": "Use the header 'Authorization: Bearer <api-key>'",
+    "error.api_key_invalida": "The API key does not exist or was revoked",
+    "error.api_key_requerida": "Send 'Authorization: Bearer <api-key>'",
+    "error.api_key_sin_scope": "The key '{key}' does not have the required scope",
+    "error.api_key_limitada": "The key '{key}' is limited to specific customers",
+    "error.api_key_sin_acceso": "The key '{key}' does not have access to this customer",
+    "error.limite_excedido": "Please wait before making more requests",
+    "error.endpoint_no_encontrado": "The route {ruta} does not exist",
+    "error.origen_no_permitido": "Origin not allowed",
+    "error.json_invalido": "The body is not valid JSON",
+    "error.cliente_no_encontrado": "Customer {cliente} not found",
+    "error.email_no_encontrado": "No customer is registered with the email {email}",
+    "error.cotizacion_no_encontrada": "Quote {id} does not exist or has expired",
+    "error.parametros_invalidos": "Invalid parameters: {detalle}",
+
+    "validacion.requerido": "is required",
+    "validacion.repetido": "must not be repeated",
+    "validacion.formato_no_soportado": "unsupported format",
+    "validacion.entero": "must be an integer",
+    "validacion.numero": "must be a number",
+    "validacion.booleano": "must be true or false",
+    "validacion.tipo": "must be of type {tipo}",
+    "validacion.enum": "must be one of: {opciones}",
+    "validacion.minimo": "must be greater than or equal to {minimo}",
+    "validacion.maximo": "must be less than or equal to {maximo}",
+    "validacion.vacio": "must not be empty",
+    "validacion.min_longitud": "must be at least {minimo} characters long",
+    "validacion.max_longitud": "must be at most {maximo} characters long",
+    "validacion.patron": "does not match the format {patron}",
+    "validacion.formato_email": "must be a valid email",
+    "validacion.formato_date": "must be a YYYY-MM-DD date",
+    "validacion.min_elementos": "must have at least {minimo} items",
+    "validacion.max_elementos": "must have at most {maximo} items",
+    "validacion.no_permitido": "field not allowed",
+    "validacion.cuerpo_requerido": "a JSON body is required (Content-Type: application/json)",
+
+    "recomendacion.lista_muy_grande": "Customer with {total} products",
+    "recomendacion.lista_muy_grande.accion": "Use progressive loading in the frontend",
+    "recomendacion.lista_muy_grande.tecnica": "Virtual scrolling + IndexedDB",
+    "recomendacion.lista_grande": "Customer with {total} products",
+    "recomendacion.lista_grande.accion": "Cache in IndexedDB",
+    "recomendacion.lista_grande.tecnica": "Batched lazy loading",
+    "recomendacion.tiempo_alto": "High fetch time: {tiempo}ms",
+    "recomendacion.tiempo_alto.accion": "Consider pagination",
+    "recomendacion.tiempo_alto.tecnica": "Use the paginated endpoint for the initial load",
+
+    "sugerencia.verificar_cliente": "Check that the customer exists in Rodin",
+    "sugerencia.probar_email": "Try the email address if there is one",
+    "sugerencia.contactar_admin": "Contact the administrator if the problem persists",
+    "completo.sin_paginacion": "The /completo endpoint returns every product",
+    "visibles.errores_rodin": "Some SKUs could not be fetched from Rodin. Try again later.",
+    "visibles.no_encontrados": "Some SKUs were not found. Check the codes or refresh the cache.",
+    "visibles.todos_encontrados": "All SKUs found",
+    "legacy.recomendacion": "Switch to the /completo endpoint for better performance",
+    "estadisticas.completo.descripcion": "Returns ALL products for a customer",
+    "estadisticas.completo.uso": "Initial load and cache",
+    "estadisticas.visibles.descripcion": "Returns only the products visible in the viewport",
+    "estadisticas.visibles.uso": "Progressive loading in the frontend",
+    "estadisticas.legacy.descripcion": "Original paginated endpoint",
+    "estadisticas.legacy.uso": "Compatibility",
+    "estadisticas.recomendacion.completo": "Use /completo once per session per customer",
+    "estadisticas.recomendacion.visibles": "Use /visibles for progressive loading",
+    "estadisticas.recomendacion.indexeddb": "Set up IndexedDB in the frontend for a persistent cache"
+  }
+};
+
+/**
+ * Idioma preferido según un header Accept-Language ("en-US,en;q=0.9,es;q=0.8")
+ * Se respeta el orden por `q`; se usa el primero soportado (por su subetiqueta primaria).
+ * @returns {string} - Uno de IDIOMAS (IDIOMA_DEFAULT si ninguno coincide)
+ */
+export function idiomaPreferido(acceptLanguage) {
+  if (!acceptLanguage) return IDIOMA_DEFAULT;
+
+  const preferidos = acceptLanguage
+    .split(",")
+    .map((parte, orden) => {
+      const [etiqueta, ...parametros] = parte.trim().split(";");
+      const q = parametros.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { idioma: etiqueta.trim().toLowerCase().split("-")[0], q: q ? parseFloat(q.slice(2)) : 1, orden };
+    })
+    .filter(p => p.idioma && p.q > 0)
+    .sort((a, b) => b.q - a.q || a.orden - b.orden);
+
+  return preferidos.find(p => IDIOMAS.includes(p.idioma))?.idioma || IDIOMA_DEFAULT;
+}
+
+/**
+ * Texto de una clave del catálogo en el idioma pedido
+ * Sin traducción se usa el español; sin clave, la clave misma (nunca falla).
+ * @param {string} idioma - Uno de IDIOMAS
+ * @param {string} clave - p. ej. "error.cliente_no_encontrado"
+ * @param {Object} valores - Sustituyen {nombre} en el texto; los números se formatean según el idioma
+ */
+export function traducir(idioma, clave, valores = {}) {
+  const catalogo = CATALOGOS[idioma] || CATALOGOS[IDIOMA_DEFAULT];
+  const plantilla = catalogo[clave] ?? CATALOGOS[IDIOMA_DEFAULT][clave] ?? clave;
+  const locale = LOCALES[idioma] || LOCALES[IDIOMA_DEFAULT];
+
+  return plantilla.replace(/\{(\w+)\}/g, (original, nombre) => {
+    const valor = valores[nombre];
+    if (valor === undefined || valor === null) return original;
+    return typeof valor === "number" ? valor.toLocaleString(locale) : String(valor);
+  });
+}
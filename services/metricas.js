@@ -0,0 +1,199 @@
+// services/metricas.js - MÉTRICAS EN FORMATO PROMETHEUS
+// Registro mínimo (contadores, histogramas y colectores que leen el estado al exportar)
+// sin dependencias externas.
+
+const BUCKETS_HTTP = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const BUCKETS_RODIN = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30, 60];
+
+const metricas = [];
+const colectores = [];
+
+function escaparEtiqueta(valor) {
+  return String(valor).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatearEtiquetas(etiquetas) {
+  const pares = Object.entries(etiquetas).map(([clave, valor]) => `${clave}="${escaparEtiqueta(valor)}"`);
+  return pares.length > 0 ? `{${pares.join(",")}}` : "";
+}
+
+function claveEtiquetas(nombres, etiquetas) {
+  return JSON.stringify(nombres.map(nombre => etiquetas[nombre] ?? ""));
+}
+
+class Contador {
+  constructor(nombre, ayuda, etiquetas = []) {
+    this.nombre = nombre;
+    this.ayuda = ayuda;
+    this.etiquetas = etiquetas;
+    this.series = new Map(); // clave → { etiquetas, valor }
+    if (etiquetas.length === 0) this.inc({}, 0); // Sin etiquetas se exporta desde 0
+    metricas.push(this);
+  }
+
+  inc(etiquetas = {}, n = 1) {
+    const clave = claveEtiquetas(this.etiquetas, etiquetas);
+    const serie = this.series.get(clave);
+    if (serie) {
+      serie.valor += n;
+    } else {
+      this.series.set(clave, { etiquetas: { ...etiquetas }, valor: n });
+    }
+  }
+
+  exportar() {
+    const lineas = [`# HELP ${this.nombre} ${this.ayuda}`, `# TYPE ${this.nombre} counter`];
+    for (const { etiquetas, valor } of this.series.values()) {
+      lineas.push(`${this.nombre}${formatearEtiquetas(etiquetas)} ${valor}`);
+    }
+    return lineas;
+  }
+}
+
+class Histograma {
+  constructor(nombre, ayuda, etiquetas = [], buckets = BUCKETS_HTTP) {
+    this.nombre = nombre;
+    this.ayuda = ayuda;
+    this.etiquetas = etiquetas;
+    this.buckets = buckets;
+    this.series = new Map(); // clave → { etiquetas, conteos, suma, total }
+    metricas.push(this);
+  }
+
+  observar(etiquetas, valor) {
+    const clave = claveEtiquetas(this.etiquetas, etiquetas);
+    let serie = this.series.get(clave);
+    if (!serie) {
+      serie = { etiquetas: { ...etiquetas }, conteos: new Array(this.buckets.length).fill(0), suma: 0, total: 0 };
+      this.series.set(clave, serie);
+    }
+
+    this.buckets.forEach((limite, i) => {
+      if (valor <= limite) serie.conteos[i]++;
+    });
+    serie.suma += valor;
+    serie.total++;
+  }
+
+  exportar() {
+    const lineas = [`# HELP ${this.nombre} ${this.ayuda}`, `# TYPE ${this.nombre} histogram`];
+    for (const { etiquetas, conteos, suma, total } of this.series.values()) {
+      this.buckets.forEach((limite, i) => {
+        lineas.push(`${this.nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: limite })} ${conteos[i]}`);
+      });
+      lineas.push(`${this.nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: "+Inf" })} ${total}`);
+      lineas.push(`${this.nombre}_sum${formatearEtiquetas(etiquetas)} ${suma}`);
+      lineas.push(`${this.nombre}_count${formatearEtiquetas(etiquetas)} ${total}`);
+    }
+    return lineas;
+  }
+}
+
+// ============================================
+// MÉTRICAS DEL PROXY
+// ============================================
+export const peticionesHttp = new Contador(
+  "http_requests_total",
+  "Peticiones HTTP atendidas por ruta y status",
+  ["method", "route", "status"]
+);
+
+export const duracionHttp = new Histograma(
+  "http_request_duration_seconds",
+  "Duración de las peticiones HTTP por ruta y status",
+  ["method", "route", "status"],
+  BUCKETS_HTTP
+);
+
+export const duracionRodin = new Histograma(
+  "rodin_request_duration_seconds",
+  "Duración de las llamadas a Rodin por endpoint y resultado",
+  ["endpoint", "status"],
+  BUCKETS_RODIN
+);
+
+export const erroresRodin = new Contador(
+  "rodin_errors_total",
+  "Llamadas a Rodin fallidas por endpoint y tipo de error",
+  ["endpoint", "type"]
+);
+
+export const cacheHits = new Contador("cliente_cache_hits_total", "Lecturas del cache de clientes con datos vigentes");
+export const cacheMisses = new Contador("cliente_cache_misses_total", "Lecturas del cache de clientes sin datos vigentes");
+export const cacheEvictions = new Contador(
+  "cliente_cache_evictions_total",
+  "Clientes eliminados del cache por capacidad o expiración",
+  ["reason"]
+);
+
+export const peticionesCoalescidas = new Contador(
+  "coalesced_requests_total",
+  "Peticiones que se unieron a una carga de Rodin ya en curso en vez de iniciar otra",
+  ["operation"]
+);
+
+export const registrosInvalidosRodin = new Contador(
+  "rodin_invalid_records_total",
+  "Registros de Rodin descartados por no cumplir el modelo",
+  ["entity"]
+);
+
+/**
+ * Registrar una función que devuelve métricas leídas del estado actual al exportar
+ * @param {Function} fn - () => [{ nombre, tipo: "gauge"|"counter", ayuda, muestras: [{ etiquetas, valor }] }]
+ */
+export function registrarColector(fn) {
+  colectores.push(fn);
+}
+
+/**
+ * Medir una llamada HTTP a Rodin (duración, status y errores)
+ * @param {string} endpoint - auth_login | get_clientes | get_lista_precios
+ * @param {Function} fn - () => promesa de axios
+ */
+export async function medirLlamadaRodin(endpoint, fn) {
+  const inicio = process.hrtime.bigint();
+  const segundos = () => Number(process.hrtime.bigint() - inicio) / 1e9;
+
+  try {
+    const response = await fn();
+    duracionRodin.observar({ endpoint, status: String(response?.status || 200) }, segundos());
+    return response;
+  } catch (error) {
+    const tipo = tipoErrorRodin(error);
+    duracionRodin.observar({ endpoint, status: error.response?.status ? String(error.response.status) : tipo }, segundos());
+    erroresRodin.inc({ endpoint, type: tipo });
+    throw error;
+  }
+}
+
+function tipoErrorRodin(error) {
+  if (error.response?.status) return `http_${error.response.status}`;
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") return "timeout";
+  return "red";
+}
+
+/**
+ * Texto completo en formato de exposición de Prometheus (text/plain; version=0.0.4)
+ */
+export function exportarMetricas() {
+  const lineas = [];
+
+  metricas.forEach(metrica => lineas.push(...metrica.exportar()));
+
+  const memoria = process.memoryUsage();
+  const delProceso = [
+    { nombre: "process_uptime_seconds", tipo: "gauge", ayuda: "Segundos desde que inició el proceso", muestras: [{ valor: process.uptime() }] },
+    { nombre: "process_resident_memory_bytes", tipo: "gauge", ayuda: "Memoria residente del proceso", muestras: [{ valor: memoria.rss }] },
+    { nombre: "nodejs_heap_used_bytes", tipo: "gauge", ayuda: "Heap de V8 en uso", muestras: [{ valor: memoria.heapUsed }] }
+  ];
+
+  for (const { nombre, tipo, ayuda, muestras } of [...delProceso, ...colectores.flatMap(fn => fn())]) {
+    lineas.push(`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} ${tipo}`);
+    muestras.forEach(({ etiquetas = {}, valor }) => {
+      lineas.push(`${nombre}${formatearEtiquetas(etiquetas)} ${valor}`);
+    });
+  }
+
+  return lineas.join("\n") + "\n";
+}
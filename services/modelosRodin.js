@@ -0,0 +1,313 @@
+// services/modelosRodin.js - MODELOS CANÓNICOS DE PRODUCTO Y CLIENTE
+// Toda respuesta de Rodin pasa por aquí antes de usarse: se valida la forma del payload,
+// los precios se convierten a número con moneda explícita y los registros mal formados
+// se reportan (log + métrica) en vez de colarse o perderse en silencio.
+import { logger } from "./logger.js";
+import { registrosInvalidosRodin } from "./metricas.js";
+import { ErrorApi } from "./errores.js";
+
+const MONEDA_DEFAULT = (process.env.RODIN_MONEDA_DEFAULT || "MXN").toUpperCase();
+
+// Registros de ejemplo que se incluyen en el log de inválidos
+const MAX_EJEMPLOS_INVALIDOS = 5;
+
+/**
+ * Respuesta de Rodin que no se puede interpretar (JSON inválido o forma desconocida)
+ */
+export class RespuestaRodinInvalidaError extends ErrorApi {
+  constructor(message, { endpoint } = {}) {
+    super("UPSTREAM_RESPUESTA_INVALIDA", message);
+    this.name = "RespuestaRodinInvalidaError";
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * @typedef {Object} Producto
+ * @property {string} articulo - SKU
+ * @property {string} nombre
+ * @property {number} precio_lista - Precio de lista (sin descuento del cliente)
+ * @property {number} precio_final - Precio para el cliente
+ * @property {string} moneda - Código ISO 4217 (MXN si Rodin no lo informa)
+ * @property {string|null} ultima_actualizacion - Marca de Rodin "YYYY-MM-DD HH:MM:SS"
+ */
+
+/**
+ * @typedef {Object} Cliente
+ * @property {string} codigo - Código del cliente en Rodin
+ * @property {string} nombre
+ * @property {string|null} email - Primer correo de contacto
+ * @property {Array<string>} emails - Todos los correos de contacto
+ * @property {string|null} telefono
+ * @property {Object} direccion - calle, numero_exterior, numero_interior, colonia, municipio, estado, pais, cp
+ * @property {Object} condiciones - credito ("Con crédito" | "Sin crédito"), credito_disponible (number),
+ *   credito_asignado (number), condicion_pago, descuento (porcentaje, number), lista_precios, status
+ */
+
+// ============================================
+// CONVERSIONES
+// ============================================
+
+function texto(valor) {
+  if (valor === null || valor === undefined) return null;
+  const limpio = String(valor).trim();
+  return limpio === "" ? null : limpio;
+}
+
+/**
+ * Número a partir de lo que mande Rodin (number, "1,234.50", "$ 99", "10%")
+ * @returns {number|null|undefined} - null si viene vacío, undefined si no es un número
+ */
+function numero(valor) {
+  if (valor === null || valor === undefined || valor === "") return null;
+  if (typeof valor === "number") return Number.isFinite(valor) ? valor : undefined;
+  if (typeof valor !== "string") return undefined;
+
+  const limpio = valor.replace(/[$,%\s]/g, "");
+  if (!/^-?\d+(\.\d+)?$/.test(limpio)) return undefined;
+  return parseFloat(limpio);
+}
+
+function moneda(valor) {
+  const codigo = texto(valor)?.toUpperCase();
+  return codigo && /^[A-Z]{3}$/.test(codigo) ? codigo : null;
+}
+
+// ============================================
+// PRODUCTO
+// ============================================
+
+/**
+ * Validar y convertir un artículo de get_lista_precios.php
+ * Si falta uno de los dos precios se usa el otro (Rodin omite precio_final sin descuento).
+ * @returns {{ producto: Producto|null, errores: Array<string> }}
+ */
+export function normalizarProducto(raw) {
+  const errores = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { producto: null, errores: ["no es un objeto"] };
+  }
+
+  const articulo = texto(raw.articulo);
+  if (!articulo) errores.push("articulo vacío");
+
+  const precioLista = numero(raw.precio_lista);
+  const precioFinal = numero(raw.precio_final);
+  if (precioLista === undefined) errores.push(`precio_lista no numérico: ${JSON.stringify(raw.precio_lista)}`);
+  if (precioFinal === undefined) errores.push(`precio_final no numérico: ${JSON.stringify(raw.precio_final)}`);
+  if (precioLista === null && precioFinal === null) errores.push("sin precio");
+  if (precioLista < 0 || precioFinal < 0) errores.push("precio negativo");
+
+  if (raw.moneda !== undefined && raw.moneda !== null && raw.moneda !== "" && !moneda(raw.moneda)) {
+    errores.push(`moneda inválida: ${JSON.stringify(raw.moneda)}`);
+  }
+
+  if (errores.length > 0) return { producto: null, errores };
+
+  return {
+    producto: {
+      articulo,
+      nombre: texto(raw.nombre) || "",
+      precio_lista: precioLista ?? precioFinal,
+      precio_final: precioFinal ?? precioLista,
+      moneda: moneda(raw.moneda) || MONEDA_DEFAULT,
+      ultima_actualizacion: texto(raw.ultima_actualizacion)
+    },
+    errores
+  };
+}
+
+/**
+ * Interpretar una respuesta de get_lista_precios.php
+ * Formas aceptadas: { lista_precios: [...], ...meta }, un array de artículos, o cuerpo vacío.
+ * @param {*} data - response.data (string u objeto)
+ * @param {Object} contexto - cliente, pagina (para el log de inválidos)
+ * @returns {{ productos: Array<Producto>, meta: Object, invalidos: number, recibidos: number }}
+ * @throws {RespuestaRodinInvalidaError} - JSON inválido o forma desconocida
+ * @throws {ErrorApi} - Si Rodin responde { error } (CLIENTE_NO_ENCONTRADO o UPSTREAM_ERROR)
+ */
+export function normalizarListaPrecios(data, contexto = {}) {
+  const payload = parsearPayload(data, "get_lista_precios");
+  if (payload === null) return { productos: [], meta: {}, invalidos: 0, recibidos: 0 };
+
+  let registros;
+  let meta = {};
+  if (Array.isArray(payload)) {
+    registros = payload;
+  } else if (payload.error) {
+    throw errorEnCuerpo(payload.error);
+  } else if ("lista_precios" in payload && (Array.isArray(payload.lista_precios) || payload.lista_precios === null)) {
+    ({ lista_precios: registros, ...meta } = payload);
+    registros = registros || [];
+  } else {
+    throw new RespuestaRodinInvalidaError(
+      `Respuesta de lista de precios sin formato reconocido (campos: ${Object.keys(payload).join(", ") || "ninguno"})`,
+      { endpoint: "get_lista_precios" }
+    );
+  }
+
+  const { validos, invalidos } = validarRegistros(registros, normalizarProducto, "producto", r => r?.articulo, contexto);
+  return { productos: validos, meta, invalidos, recibidos: registros.length };
+}
+
+// ============================================
+// CLIENTE
+// ============================================
+
+/**
+ * Validar un cliente de get_clientes.php
+ * Se conserva el registro de Rodin (el índice de correos y los permisos usan sus campos);
+ * para responder se convierte con modeloCliente().
+ * @returns {{ cliente: Object|null, errores: Array<string> }}
+ */
+export function validarCliente(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { cliente: null, errores: ["no es un objeto"] };
+  }
+
+  const errores = [];
+  if (!texto(raw.cliente)) errores.push("cliente (código) vacío");
+
+  for (const campo of ["credito_asignado", "credito_disponible", "descuento"]) {
+    if (numero(raw[campo]) === undefined) {
+      errores.push(`${campo} no numérico: ${JSON.stringify(raw[campo])}`);
+    }
+  }
+
+  if (errores.length > 0) return { cliente: null, errores };
+  return { cliente: { ...raw, cliente: texto(raw.cliente) }, errores };
+}
+
+/**
+ * Interpretar una respuesta de get_clientes.php ({ clientes: [...] })
+ * @returns {{ clientes: Array<Object>, invalidos: number, recibidos: number }} - Clientes de Rodin ya validados
+ * @throws {RespuestaRodinInvalidaError} - JSON inválido o forma desconocida
+ */
+export function normalizarClientes(data, contexto = {}) {
+  const payload = parsearPayload(data, "get_clientes");
+  if (payload === null) return { clientes: [], invalidos: 0, recibidos: 0 };
+
+  let registros;
+  if (Array.isArray(payload)) {
+    registros = payload;
+  } else if (payload.error) {
+    throw errorEnCuerpo(payload.error);
+  } else if (Array.isArray(payload.clientes) || payload.clientes === null) {
+    registros = payload.clientes || [];
+  } else {
+    throw new RespuestaRodinInvalidaError(
+      `Respuesta de clientes sin formato reconocido (campos: ${Object.keys(payload).join(", ") || "ninguno"})`,
+      { endpoint: "get_clientes" }
+    );
+  }
+
+  const { validos, invalidos } = validarRegistros(registros, validarCliente, "cliente", r => r?.cliente, contexto);
+  return { clientes: validos, invalidos, recibidos: registros.length };
+}
+
+/**
+ * Modelo canónico de un cliente para las respuestas del API
+ * @param {Object} cliente - Cliente de Rodin validado
+ * @param {string} email - Email usado en la búsqueda (respaldo si no tiene correos)
+ * @returns {Cliente}
+ */
+export function modeloCliente(cliente, email = null) {
+  const emails = [cliente.contacto1_correo, cliente.contacto2_correo].map(texto).filter(Boolean);
+  const creditoDisponible = numero(cliente.credito_disponible) ?? 0;
+
+  return {
+    codigo: texto(cliente.cliente),
+    nombre: texto(cliente.nombre) || "",
+    email: emails[0] || email,
+    emails,
+    telefono: texto(cliente.contacto_telefonos),
+    direccion: {
+      calle: texto(cliente.calle),
+      numero_exterior: texto(cliente.exterior),
+      numero_interior: texto(cliente.interior),
+      colonia: texto(cliente.colonia),
+      municipio: texto(cliente.delegacion),
+      estado: texto(cliente.estado),
+      pais: texto(cliente.pais),
+      cp: texto(cliente.cp)
+    },
+    condiciones: {
+      credito: creditoDisponible > 0 ? "Con crédito" : "Sin crédito",
+      credito_disponible: creditoDisponible,
+      credito_asignado: numero(cliente.credito_asignado) ?? 0,
+      condicion_pago: texto(cliente.condicion),
+      descuento: numero(cliente.descuento) ?? 0,
+      lista_precios: texto(cliente.lista_precios),
+      status: texto(cliente.status)
+    }
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Helper: JSON de Rodin (a veces llega como string); null si el cuerpo viene vacío
+ */
+function parsearPayload(data, endpoint) {
+  if (data === null || data === undefined) return null;
+
+  if (typeof data === "string") {
+    if (data.trim() === "") return null;
+    try {
+      data = JSON.parse(data);
+    } catch {
+      throw new RespuestaRodinInvalidaError(`Respuesta de ${endpoint} no es JSON válido`, { endpoint });
+    }
+  }
+
+  if (typeof data !== "object") {
+    throw new RespuestaRodinInvalidaError(`Respuesta de ${endpoint} con tipo inesperado: ${typeof data}`, { endpoint });
+  }
+  return data;
+}
+
+/**
+ * Helper: Error que Rodin informa con 200 y { error: "..." } en el cuerpo
+ */
+function errorEnCuerpo(mensaje) {
+  const codigo = /no (existe|encontrad)/i.test(String(mensaje)) ? "CLIENTE_NO_ENCONTRADO" : "UPSTREAM_ERROR";
+  return new ErrorApi(codigo, `Rodin respondió: ${mensaje}`);
+}
+
+/**
+ * Helper: Validar cada registro, separar los inválidos y reportarlos
+ */
+function validarRegistros(registros, validar, entidad, identificar, contexto) {
+  const validos = [];
+  const ejemplos = [];
+  let invalidos = 0;
+
+  registros.forEach((raw, indice) => {
+    const resultado = validar(raw);
+    const valido = resultado.producto ?? resultado.cliente;
+    if (valido) {
+      validos.push(valido);
+      return;
+    }
+
+    invalidos++;
+    if (ejemplos.length < MAX_EJEMPLOS_INVALIDOS) {
+      ejemplos.push({ indice, id: identificar(raw) ?? null, errores: resultado.errores });
+    }
+  });
+
+  if (invalidos > 0) {
+    registrosInvalidosRodin.inc({ entity: entidad }, invalidos);
+    logger.warn("Registros de Rodin descartados por formato inválido", {
+      entidad,
+      invalidos,
+      recibidos: registros.length,
+      ejemplos,
+      ...contexto
+    });
+  }
+
+  return { validos, invalidos };
+}
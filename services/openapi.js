@@ -0,0 +1,184 @@
+// services/openapi.js - DOCUMENTO OPENAPI 3 A PARTIR DE LAS RUTAS
+// Recorre los routers montados y usa el esquema que cada ruta declara con validar()
+// (middleware/validacion.js): la documentación, /api/info y la lista del 404 salen de
+// las mismas definiciones que validan las peticiones.
+import { CODIGOS_ERROR } from "./errores.js";
+
+// Claves de un esquema de parámetro que pasan tal cual al documento
+const CLAVES_ESQUEMA = [
+  "type", "enum", "default", "minimum", "maximum", "minLength", "maxLength", "pattern", "format",
+  "items", "minItems", "maxItems", "properties", "required", "additionalProperties", "example"
+];
+
+/**
+ * Rutas de los routers montados, en orden de registro
+ * @param {Array<{ prefijo: string, router }>} montajes - Routers de express (o la app) y su prefijo
+ * @returns {Array<Object>} - [{ metodo, ruta, rutaOpenApi, esquema }] (esquema null si la ruta no lo declara)
+ */
+export function listarRutas(montajes) {
+  const rutas = [];
+
+  for (const { prefijo, router } of montajes) {
+    // La app expone su pila en _router; un Router en stack
+    const pila = router._router?.stack || router.stack || [];
+
+    for (const capa of pila) {
+      if (!capa.route || typeof capa.route.path !== "string") continue;
+
+      const ruta = `${prefijo}${capa.route.path}`;
+      const esquema = capa.route.stack.map(c => c.handle?.esquema).find(Boolean) || null;
+
+      for (const metodo of Object.keys(capa.route.methods)) {
+        rutas.push({
+          metodo: metodo.toUpperCase(),
+          ruta,
+          rutaOpenApi: ruta.replace(/:(\w+)/g, "{$1}"),
+          esquema
+        });
+      }
+    }
+  }
+
+  return rutas;
+}
+
+/**
+ * Documento OpenAPI 3.0 del API
+ * @param {Array<{ prefijo: string, router }>} montajes - Ver listarRutas()
+ * @param {Object} info - title, version, description
+ */
+export function crearDocumentoOpenApi(montajes, info) {
+  const paths = {};
+  const etiquetas = new Set();
+
+  for (const { metodo, ruta, rutaOpenApi, esquema } of listarRutas(montajes)) {
+    const operacion = crearOperacion(ruta, esquema || {});
+    if (esquema?.etiqueta) etiquetas.add(esquema.etiqueta);
+
+    paths[rutaOpenApi] = paths[rutaOpenApi] || {};
+    paths[rutaOpenApi][metodo.toLowerCase()] = operacion;
+  }
+
+  return {
+    openapi: "3.0.3",
+    info,
+    tags: [...etiquetas].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description: "API key en Authorization: Bearer <key>. Desde Shopify, la firma de App Proxy sustituye a la API key."
+        }
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["success", "error", "codigo", "message", "requestId", "timestamp"],
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string", description: "Título para personas" },
+            codigo: { type: "string", enum: Object.keys(CODIGOS_ERROR), description: "Código estable" },
+            message: { type: "string" },
+            reintentar_en_seg: { type: "integer", description: "También en el header Retry-After" },
+            errores_validacion: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  ubicacion: { type: "string", enum: ["params", "query", "body"] },
+                  campo: { type: "string" },
+                  regla: { type: "string", description: "Regla incumplida (requerido, entero, maximo...)" },
+                  mensaje: { type: "string" }
+                }
+              }
+            },
+            requestId: { type: "string" },
+            timestamp: { type: "string", format: "date-time" }
+          }
+        }
+      }
+    }
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Helper: Operación OpenAPI de una ruta
+ */
+function crearOperacion(ruta, esquema) {
+  const parametros = [
+    ...crearParametros(esquema.params, "path", Object.keys(esquema.params || {})),
+    ...crearParametros(esquema.query, "query", esquema.queryRequeridos || [])
+  ];
+
+  return {
+    ...(esquema.etiqueta && { tags: [esquema.etiqueta] }),
+    summary: esquema.resumen || ruta,
+    ...(esquema.descripcion && { description: esquema.descripcion }),
+    ...(esquema.scope && { security: [{ apiKey: [] }], "x-scope": esquema.scope }),
+    ...(parametros.length > 0 && { parameters: parametros }),
+    ...(esquema.body && {
+      requestBody: { required: true, content: { "application/json": { schema: limpiarEsquema(esquema.body) } } }
+    }),
+    responses: crearRespuestas(ruta, esquema, parametros.length > 0)
+  };
+}
+
+function crearParametros(definiciones = {}, ubicacion, requeridos) {
+  return Object.entries(definiciones).map(([name, esquema]) => ({
+    name,
+    in: ubicacion,
+    required: requeridos.includes(name),
+    ...(esquema.description && { description: esquema.description }),
+    schema: limpiarEsquema(esquema)
+  }));
+}
+
+/**
+ * Helper: Esquema sin las descripciones de parámetro (van en el parámetro), recursivo
+ */
+function limpiarEsquema(esquema) {
+  const limpio = {};
+  for (const clave of CLAVES_ESQUEMA) {
+    if (esquema[clave] === undefined) continue;
+    if (clave === "items") {
+      limpio.items = limpiarEsquema(esquema.items);
+    } else if (clave === "properties") {
+      limpio.properties = Object.fromEntries(
+        Object.entries(esquema.properties).map(([nombre, sub]) => [nombre, { ...limpiarEsquema(sub), ...(sub.description && { description: sub.description }) }])
+      );
+    } else {
+      limpio[clave] = esquema[clave];
+    }
+  }
+  return limpio;
+}
+
+function crearRespuestas(ruta, esquema, validaEntrada) {
+  const error = descripcion => ({
+    description: descripcion,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+  });
+
+  // 200 salvo que la ruta declare otra respuesta de éxito (p. ej. 201)
+  const exitoPropio = Object.keys(esquema.respuestas || {}).some(status => status.startsWith("2"));
+  const respuestas = exitoPropio ? {} : { 200: { description: "OK" } };
+
+  for (const [status, descripcion] of Object.entries(esquema.respuestas || {})) {
+    respuestas[status] = Number(status) >= 400 ? error(descripcion) : { description: descripcion };
+  }
+  if (validaEntrada || esquema.body) respuestas[400] = error("Parámetros inválidos (SOLICITUD_INVALIDA)");
+  if (esquema.scope) {
+    respuestas[401] = error("API key requerida o inválida");
+    respuestas[403] = error(`Falta el scope ${esquema.scope} o el recurso es de otro cliente`);
+  }
+  if (ruta.startsWith("/api/")) respuestas[429] = error("Límite de peticiones excedido");
+  respuestas.default = error("Error (ver `codigo`)");
+
+  return respuestas;
+}
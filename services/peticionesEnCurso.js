@@ -0,0 +1,62 @@
+// services/peticionesEnCurso.js - COALESCENCIA DE PETICIONES (SINGLE-FLIGHT)
+// Varias peticiones concurrentes por la misma clave comparten una sola carga en curso,
+// igual que el login de authService o la sincronización del índice de clientes.
+//
+// Cada carga corre en su propio contexto: si la inició una tarea en segundo plano y se
+// une una petición interactiva, la carga (y lo que ya espera en la cola de Rodin) pasa a
+// prioridad interactiva sin acelerar al resto de la tarea.
+import { logger, esSegundoPlano, obtenerContexto, ejecutarConContexto } from "./logger.js";
+import { peticionesCoalescidas } from "./metricas.js";
+import { promoverContexto } from "./colaRodin.js";
+
+export class PeticionesEnCurso {
+  /**
+   * @param {string} operacion - Nombre para métricas y logs (p. ej. "lista_completa")
+   */
+  constructor(operacion) {
+    this.operacion = operacion;
+    this.enCurso = new Map(); // clave → { promesa, contexto }
+    this.coalescidas = 0;
+  }
+
+  has(clave) {
+    return this.enCurso.has(clave);
+  }
+
+  /**
+   * Ejecutar `fn` para la clave, o unirse a la ejecución que ya está en curso
+   * Todas las peticiones reciben el mismo resultado (o el mismo error).
+   */
+  compartir(clave, fn) {
+    const existente = this.enCurso.get(clave);
+    if (existente) {
+      this.coalescidas++;
+      peticionesCoalescidas.inc({ operation: this.operacion });
+      logger.debug("Petición unida a carga en curso", { operacion: this.operacion, clave });
+
+      if (existente.contexto.segundoPlano && !esSegundoPlano()) {
+        existente.contexto.segundoPlano = false;
+        const promovidas = promoverContexto(existente.contexto);
+        logger.info("Carga en segundo plano promovida a interactiva", { operacion: this.operacion, clave, promovidas });
+      }
+      return existente.promesa;
+    }
+
+    const contexto = { ...obtenerContexto(), segundoPlano: esSegundoPlano() };
+    const promesa = Promise.resolve()
+      .then(() => ejecutarConContexto(contexto, fn))
+      .finally(() => {
+        this.enCurso.delete(clave);
+      });
+
+    this.enCurso.set(clave, { promesa, contexto });
+    return promesa;
+  }
+
+  getStats() {
+    return {
+      en_curso: this.enCurso.size,
+      coalescidas: this.coalescidas
+    };
+  }
+}
@@ -0,0 +1,157 @@
+// services/precalentamiento.js - PRE-CALENTAMIENTO DEL CACHE DE CLIENTES
+// Refresca en segundo plano a los clientes más activos antes de que expire su lista,
+// y atiende las revalidaciones "stale-while-revalidate" pedidas por las rutas.
+import { logger, ejecutarEnSegundoPlano } from "./logger.js";
+
+const CONFIG_DEFAULT = {
+  activo: process.env.PRECALENTAMIENTO_ACTIVO !== "false",
+  intervaloMs: (parseInt(process.env.PRECALENTAMIENTO_INTERVALO_MIN) || 15) * 60 * 1000,
+  ventanaMs: (parseInt(process.env.PRECALENTAMIENTO_VENTANA_MIN) || 60) * 60 * 1000,
+  concurrencia: parseInt(process.env.PRECALENTAMIENTO_CONCURRENCIA) || 2,
+  maxClientes: parseInt(process.env.PRECALENTAMIENTO_MAX_CLIENTES) || 20,
+  minHits: parseInt(process.env.PRECALENTAMIENTO_MIN_HITS) || 2,
+  inactividadMaxMs: 24 * 60 * 60 * 1000 // Clientes sin acceso en 24h no se pre-calientan
+};
+
+export class PrecalentadorCache {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.cache - ClienteCache (usa cache, stats y CACHE_TTL)
+   * @param {Function} deps.refrescar - async (clienteId) => refresca la entrada del cliente
+   * @param {Object} config - Sobrescribe CONFIG_DEFAULT
+   */
+  constructor({ cache, refrescar }, config = {}) {
+    this.cache = cache;
+    this.refrescar = refrescar;
+    this.config = { ...CONFIG_DEFAULT, ...config };
+
+    this.cola = [];
+    this.enCurso = new Set();
+    this.timer = null;
+    this.stats = {
+      ciclos: 0,
+      ultimoCiclo: null,
+      refrescados: 0,
+      errores: 0,
+      ultimoError: null,
+      porMotivo: {}
+    };
+  }
+
+  iniciar() {
+    if (!this.config.activo || this.timer) return;
+
+    this.timer = setInterval(() => this.ciclo(), this.config.intervaloMs);
+    this.timer.unref();
+    logger.info("Pre-calentamiento de cache activo", {
+      intervalo_minutos: Math.round(this.config.intervaloMs / 60000)
+    });
+  }
+
+  detener() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ¿La entrada sigue vigente pero está por expirar?
+  porExpirar(clienteId) {
+    const item = this.cache.cache.get(clienteId);
+    if (!item) return false;
+
+    const restante = this.cache.CACHE_TTL - (Date.now() - item.timestamp);
+    return restante <= this.config.ventanaMs;
+  }
+
+  // Elegir a los clientes más activos cuya lista está por expirar (o ya expiró)
+  candidatos() {
+    const ahora = Date.now();
+
+    return Array.from(this.cache.stats.entries())
+      .filter(([clienteId, stats]) => {
+        const item = this.cache.cache.get(clienteId);
+        return item &&
+          !item.data?.parcial &&
+          stats.hits >= this.config.minHits &&
+          ahora - stats.lastAccess <= this.config.inactividadMaxMs &&
+          this.porExpirar(clienteId);
+      })
+      .sort((a, b) => b[1].hits - a[1].hits)
+      .slice(0, this.config.maxClientes)
+      .map(([clienteId]) => clienteId);
+  }
+
+  // Un ciclo programado: encolar candidatos
+  ciclo() {
+    this.stats.ciclos++;
+    this.stats.ultimoCiclo = new Date().toISOString();
+
+    const candidatos = this.candidatos();
+    if (candidatos.length > 0) {
+      logger.info("Pre-calentando clientes", { total: candidatos.length, clientes: candidatos });
+    }
+    candidatos.forEach(clienteId => this.encolar(clienteId, "programado"));
+  }
+
+  /**
+   * Pedir el refresco de un cliente sin esperar el resultado
+   * Si ya está en cola o en curso no se duplica.
+   */
+  encolar(clienteId, motivo = "manual") {
+    if (this.enCurso.has(clienteId) || this.cola.some(t => t.clienteId === clienteId)) {
+      return false;
+    }
+
+    this.cola.push({ clienteId, motivo });
+    this.procesar();
+    return true;
+  }
+
+  estaRefrescando(clienteId) {
+    return this.enCurso.has(clienteId) || this.cola.some(t => t.clienteId === clienteId);
+  }
+
+  procesar() {
+    while (this.enCurso.size < this.config.concurrencia && this.cola.length > 0) {
+      const { clienteId, motivo } = this.cola.shift();
+      this.enCurso.add(clienteId);
+
+      // Cada refresco lleva su propio ID de correlación, aunque lo haya pedido una petición
+      const inicio = Date.now();
+      ejecutarEnSegundoPlano("precalentamiento", () => Promise.resolve()
+        .then(() => this.refrescar(clienteId))
+        .then(() => {
+          this.stats.refrescados++;
+          this.stats.porMotivo[motivo] = (this.stats.porMotivo[motivo] || 0) + 1;
+          logger.info("Cliente pre-calentado", { cliente: clienteId, motivo, duration_ms: Date.now() - inicio });
+        })
+        .catch(error => {
+          this.stats.errores++;
+          this.stats.ultimoError = `${clienteId}: ${error.message}`;
+          logger.error("Error pre-calentando cliente", { cliente: clienteId, motivo, error });
+        })
+        .finally(() => {
+          this.enCurso.delete(clienteId);
+          this.procesar();
+        }));
+    }
+  }
+
+  getStatus() {
+    return {
+      activo: !!this.timer,
+      intervalo_minutos: Math.round(this.config.intervaloMs / 60000),
+      ventana_minutos: Math.round(this.config.ventanaMs / 60000),
+      concurrencia: this.config.concurrencia,
+      max_clientes_por_ciclo: this.config.maxClientes,
+      min_hits: this.config.minHits,
+      ciclos: this.stats.ciclos,
+      ultimo_ciclo: this.stats.ultimoCiclo,
+      en_cola: this.cola.length,
+      en_curso: Array.from(this.enCurso),
+      refrescados: this.stats.refrescados,
+      refrescados_por_motivo: this.stats.porMotivo,
+      errores: this.stats.errores,
+      ultimo_error: this.stats.ultimoError
+    };
+  }
+}
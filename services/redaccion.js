@@ -0,0 +1,107 @@
+// services/redaccion.js - OCULTAR DATOS PERSONALES Y SECRETOS EN LOGS
+// Dos capas: por nombre de campo (datos de contacto, credenciales) y por patrón dentro
+// de cualquier texto (correos, bearer tokens, JWT, teléfonos, RODIN_PASSWORD).
+
+const MASCARA = "[REDACTADO]";
+
+// Campos cuyo valor (texto u objeto) nunca se escribe; números y booleanos se conservan
+// (p. ej. `correos_indexados: 1200` es un conteo, no un correo)
+const CAMPOS_SENSIBLES = new RegExp([
+  "correo", "email", "telefono", "phone", "celular",
+  "direccion", "address", "calle", "exterior", "interior", "colonia", "delegacion",
+  "municipio", "^cp$", "codigo_postal", "^nombre$", "razon_social", "^rfc$",
+  "password", "contrasena", "token", "secret", "secreto", "authorization", "cookie", "signature"
+].join("|"), "i");
+
+// Textos que se enmascaran en cualquier campo
+const PATRONES = [
+  { tipo: "bearer", regex: /\bBearer\s+[\w.~+/=-]+/gi },
+  { tipo: "jwt", regex: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g },
+  { tipo: "email", regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  // Teléfonos: con + o separadores y 10+ dígitos, o 10 dígitos seguidos solo tras "tel",
+  // "cel", "phone"... (un número suelto de 10 dígitos suele ser un SKU o código de cliente;
+  // no toca fechas YYYY-MM-DD ni códigos de barras de 13 dígitos)
+  {
+    tipo: "telefono",
+    regex: /(?:\+\d[\d\s().-]{8,}\d|\(?\b\d{2,3}\)?[\s.-]\d{3,4}[\s.-]\d{4}\b|(?<=\b(?:tel[eé]fonos?|tels?|cel(?:ular)?|m[oó]vil|phone|whatsapp)\.?\s*[:=#]?\s*)\d{10}\b)/gi,
+    minDigitos: 10
+  }
+];
+
+// Campos de teléfono: también se enmascaran si el valor llega como número
+const CAMPOS_TELEFONO = /telefono|phone|celular/i;
+
+// Campos del propio logger que no se revisan
+const CAMPOS_EXENTOS = new Set(["timestamp", "level", "request_id"]);
+
+const PROFUNDIDAD_MAXIMA = 8;
+
+// LOG_REDACCION=false desactiva la redacción para depurar, nunca en producción
+const ENTORNO = process.env.NODE_ENV || "production";
+const REDACCION_ACTIVA = ENTORNO === "production" || process.env.LOG_REDACCION !== "false";
+
+/**
+ * Enmascarar secretos y datos personales dentro de un texto
+ */
+export function redactarTexto(texto) {
+  if (typeof texto !== "string" || !REDACCION_ACTIVA) return texto;
+
+  let resultado = texto;
+
+  const password = process.env.RODIN_PASSWORD;
+  if (password && password.length >= 4) {
+    resultado = resultado.split(password).join(MASCARA);
+  }
+
+  for (const { tipo, regex, minDigitos } of PATRONES) {
+    resultado = resultado.replace(regex, coincidencia => {
+      if (minDigitos && coincidencia.replace(/\D/g, "").length < minDigitos) return coincidencia;
+      return `[REDACTADO:${tipo}]`;
+    });
+  }
+
+  return resultado;
+}
+
+/**
+ * Copia de `valor` con los campos sensibles y patrones enmascarados
+ * @param {*} valor - Objeto, arreglo o texto a escribir en el log
+ */
+export function redactar(valor, profundidad = 0, vistos = new WeakSet()) {
+  if (!REDACCION_ACTIVA) return valor;
+  if (typeof valor === "string") return redactarTexto(valor);
+  if (valor === null || typeof valor !== "object") return valor;
+
+  // `vistos` guarda solo la ruta actual (ancestros): un objeto compartido entre ramas no es circular
+  if (vistos.has(valor)) return "[circular]";
+  if (profundidad >= PROFUNDIDAD_MAXIMA) return "[...]";
+  vistos.add(valor);
+
+  try {
+    if (Array.isArray(valor)) {
+      return valor.map(item => redactar(item, profundidad + 1, vistos));
+    }
+
+    const resultado = {};
+    for (const [clave, item] of Object.entries(valor)) {
+      if (CAMPOS_EXENTOS.has(clave) && profundidad === 0) {
+        resultado[clave] = item;
+      } else if ((CAMPOS_SENSIBLES.test(clave) && (typeof item === "string" || (item && typeof item === "object"))) ||
+          (CAMPOS_TELEFONO.test(clave) && typeof item === "number")) {
+        resultado[clave] = MASCARA;
+      } else {
+        resultado[clave] = redactar(item, profundidad + 1, vistos);
+      }
+    }
+    return resultado;
+  } finally {
+    vistos.delete(valor);
+  }
+}
+
+/**
+ * ¿La redacción está activa? (para health y advertencia al iniciar)
+ */
+export function redaccionActiva() {
+  return REDACCION_ACTIVA;
+}
@@ -0,0 +1,232 @@
+// services/resilienciaRodin.js - REINTENTOS Y CIRCUIT BREAKER PARA LLAMADAS A RODIN
+// Toda llamada HTTP a Rodin pasa por llamarRodin(): reintenta timeouts, errores de
+// red y 5xx con backoff exponencial + jitter, y deja de llamar mientras Rodin está caído.
+import { logger } from "./logger.js";
+import { medirLlamadaRodin, registrarColector } from "./metricas.js";
+import { esperarTurno } from "./colaRodin.js";
+import { ErrorApi } from "./errores.js";
+
+const CONFIG = {
+  intentosDefault: parseInt(process.env.RODIN_INTENTOS) || 2,
+  intentosMax: 5,
+  backoffBaseMs: parseInt(process.env.RODIN_BACKOFF_BASE_MS) || 500,
+  backoffMaxMs: parseInt(process.env.RODIN_BACKOFF_MAX_MS) || 8000,
+  // Llamadas fallidas seguidas (ya con sus reintentos agotados) que abren el circuito
+  // y tiempo antes de probar de nuevo
+  umbralFallos: parseInt(process.env.RODIN_CIRCUITO_UMBRAL) || 5,
+  esperaAperturaMs: (parseInt(process.env.RODIN_CIRCUITO_ESPERA_SEG) || 30) * 1000
+};
+
+/**
+ * Rodin no disponible: el circuito está abierto y la llamada no se intentó
+ */
+export class RodinNoDisponibleError extends ErrorApi {
+  constructor(reintentarEnMs) {
+    super("UPSTREAM_NO_DISPONIBLE", "Rodin no disponible temporalmente (circuito abierto)", {
+      reintentarEnSeg: Math.max(1, Math.ceil(reintentarEnMs / 1000))
+    });
+    this.name = "RodinNoDisponibleError";
+    this.reintentarEnMs = reintentarEnMs;
+  }
+}
+
+// ============================================
+// CIRCUIT BREAKER (uno para todo el upstream de Rodin)
+// cerrado → (umbral de llamadas fallidas seguidas) → abierto → (espera) → semiabierto
+// semiabierto: una sola llamada de prueba; si funciona cierra, si falla reabre
+// Cuenta un fallo por llamada lógica, no por intento: una petición que agota sus
+// reintentos no basta para abrir el circuito a todos los clientes.
+// ============================================
+const circuito = {
+  estado: "cerrado",
+  fallosConsecutivos: 0,
+  abiertoEn: null,
+  pruebaEnCurso: false,
+  aperturas: 0,
+  rechazadas: 0,
+  ultimoFallo: null
+};
+
+const stats = { llamadas: 0, reintentos: 0, agotadas: 0 };
+
+// Estado actual: pasado el tiempo de espera, abierto pasa a semiabierto
+// (se evalúa al consultarlo, no solo cuando llega una llamada)
+function estadoCircuito() {
+  if (circuito.estado === "abierto" && Date.now() - circuito.abiertoEn >= CONFIG.esperaAperturaMs) {
+    circuito.estado = "semiabierto";
+    logger.info("Circuito de Rodin semiabierto: se probará una llamada");
+  }
+  return circuito.estado;
+}
+
+function permitirLlamada() {
+  const estado = estadoCircuito();
+  if (estado === "cerrado") return true;
+  if (estado === "abierto") return false;
+
+  // Semiabierto: solo una llamada de prueba a la vez
+  if (circuito.pruebaEnCurso) return false;
+  circuito.pruebaEnCurso = true;
+  return true;
+}
+
+function registrarExito() {
+  if (circuito.estado !== "cerrado") {
+    logger.info("Circuito de Rodin cerrado: Rodin respondió de nuevo");
+  }
+  circuito.estado = "cerrado";
+  circuito.fallosConsecutivos = 0;
+  circuito.pruebaEnCurso = false;
+}
+
+function registrarFallo(error, esPrueba) {
+  circuito.fallosConsecutivos++;
+  circuito.ultimoFallo = error.message;
+  if (esPrueba) circuito.pruebaEnCurso = false;
+
+  const abrir = (esPrueba && circuito.estado === "semiabierto") ||
+    (circuito.estado === "cerrado" && circuito.fallosConsecutivos >= CONFIG.umbralFallos);
+
+  if (abrir) {
+    circuito.estado = "abierto";
+    circuito.abiertoEn = Date.now();
+    circuito.aperturas++;
+    logger.error("Circuito de Rodin abierto: se rechazan llamadas temporalmente", {
+      fallos_consecutivos: circuito.fallosConsecutivos,
+      espera_seg: CONFIG.esperaAperturaMs / 1000,
+      error
+    });
+  }
+}
+
+/**
+ * ¿El error indica que Rodin está fallando? (timeouts, red, 5xx)
+ * Los 4xx son respuestas válidas de Rodin: no se reintentan ni abren el circuito.
+ */
+function esFalloTransitorio(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500;
+  return !(error instanceof RodinNoDisponibleError);
+}
+
+// Backoff exponencial con "equal jitter": mitad fija + mitad aleatoria
+function esperaReintento(intento) {
+  const exponencial = Math.min(CONFIG.backoffMaxMs, CONFIG.backoffBaseMs * 2 ** (intento - 1));
+  return exponencial / 2 + Math.random() * (exponencial / 2);
+}
+
+/**
+ * Ejecutar una llamada HTTP a Rodin con reintentos y circuit breaker
+ * @param {string} endpoint - auth_login | get_clientes | get_lista_precios (métricas y logs)
+ * @param {Function} fn - () => promesa de axios (se invoca una vez por intento)
+ * @param {Object} options
+ * @param {number} options.intentos - Intentos totales (incluye el primero); default RODIN_INTENTOS
+ * @param {boolean} options.idempotente - Solo las llamadas idempotentes se reintentan
+ * @param {Function} options.onReintento - (intento, error) => void
+ * @param {string} options.prioridad - "interactiva" | "segundo_plano" (por defecto según el contexto)
+ * @throws {RodinNoDisponibleError} - Si el circuito está abierto
+ * @throws {RodinSaturadoError} - Si no hubo turno en la cola (ver services/colaRodin.js)
+ */
+export async function llamarRodin(endpoint, fn, { intentos, idempotente = true, onReintento, prioridad } = {}) {
+  const maxIntentos = idempotente
+    ? Math.min(CONFIG.intentosMax, Math.max(1, parseInt(intentos) || CONFIG.intentosDefault))
+    : 1;
+
+  for (let intento = 1; ; intento++) {
+    if (!permitirLlamada()) {
+      circuito.rechazadas++;
+      throw new RodinNoDisponibleError(Math.max(0, CONFIG.esperaAperturaMs - (Date.now() - circuito.abiertoEn)));
+    }
+    const esPrueba = circuito.estado === "semiabierto";
+
+    // Turno en la cola central; la espera entre reintentos no ocupa turno
+    let liberar;
+    try {
+      liberar = await esperarTurno(prioridad);
+    } catch (error) {
+      circuito.pruebaEnCurso = false; // La prueba de semiabierto no llegó a hacerse
+      throw error;
+    }
+
+    stats.llamadas++;
+    let error;
+    try {
+      const response = await medirLlamadaRodin(endpoint, fn);
+      registrarExito();
+      return response;
+    } catch (e) {
+      error = e;
+    } finally {
+      liberar();
+    }
+
+    if (!esFalloTransitorio(error)) {
+      // Rodin respondió (4xx): está disponible aunque la petición no sea válida
+      registrarExito();
+      throw error;
+    }
+
+    // La prueba de semiabierto no se reintenta: un fallo reabre el circuito
+    if (intento >= maxIntentos || esPrueba) {
+      if (maxIntentos > 1 && intento >= maxIntentos) stats.agotadas++;
+      registrarFallo(error, esPrueba);
+      throw error;
+    }
+
+    const espera = esperaReintento(intento);
+    stats.reintentos++;
+    onReintento?.(intento, error);
+    logger.warn("Reintentando llamada a Rodin", {
+      endpoint,
+      intento,
+      max_intentos: maxIntentos,
+      espera_ms: Math.round(espera),
+      error
+    });
+    await new Promise(resolve => setTimeout(resolve, espera));
+  }
+}
+
+registrarColector(() => [{
+  nombre: "rodin_circuit_state",
+  tipo: "gauge",
+  ayuda: "Estado del circuit breaker de Rodin (0 cerrado, 1 semiabierto, 2 abierto)",
+  muestras: [{ valor: { cerrado: 0, semiabierto: 1, abierto: 2 }[estadoCircuito()] }]
+}, {
+  nombre: "rodin_circuit_rejections_total",
+  tipo: "counter",
+  ayuda: "Llamadas a Rodin rechazadas sin intentarse por circuito abierto",
+  muestras: [{ valor: circuito.rechazadas }]
+}, {
+  nombre: "rodin_retries_total",
+  tipo: "counter",
+  ayuda: "Reintentos de llamadas a Rodin",
+  muestras: [{ valor: stats.reintentos }]
+}]);
+
+/**
+ * Estado del circuit breaker y reintentos (para health)
+ */
+export function getEstadoRodin() {
+  const estado = estadoCircuito();
+
+  return {
+    circuito: estado,
+    fallos_consecutivos: circuito.fallosConsecutivos,
+    abierto_desde: estado === "abierto" ? new Date(circuito.abiertoEn).toISOString() : null,
+    reintentar_en_seg: estado === "abierto"
+      ? Math.max(0, Math.ceil((CONFIG.esperaAperturaMs - (Date.now() - circuito.abiertoEn)) / 1000))
+      : null,
+    aperturas: circuito.aperturas,
+    rechazadas: circuito.rechazadas,
+    ultimo_fallo: circuito.ultimoFallo,
+    llamadas: stats.llamadas,
+    reintentos: stats.reintentos,
+    reintentos_agotados: stats.agotadas,
+    config: {
+      intentos_default: CONFIG.intentosDefault,
+      umbral_fallos: CONFIG.umbralFallos,
+      espera_apertura_seg: CONFIG.esperaAperturaMs / 1000
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// services/rodinConfig.js - URL BASE Y RUTAS DE LA API DE RODIN
+// RODIN_BASE_URL apunta a producción por defecto; con RODIN_SANDBOX=true apunta al
+// Rodin simulado que sirve el propio proxy (ver routes/sandboxRodin.js).
+
+const SANDBOX = process.env.RODIN_SANDBOX === "true";
+const PUERTO = process.env.PORT || 3000;
+
+const BASE_URL = (process.env.RODIN_BASE_URL ||
+  (SANDBOX ? `http://127.0.0.1:${PUERTO}/sandbox/rodin` : "https://rodin.com.mx/b2b/api")
+).replace(/\/+$/, "");
+
+// Rutas de cada endpoint, relativas a la URL base
+export const RUTAS_RODIN = {
+  auth_login: process.env.RODIN_RUTA_AUTH_LOGIN || "auth_login.php",
+  get_clientes: process.env.RODIN_RUTA_CLIENTES || "get_clientes.php",
+  get_lista_precios: process.env.RODIN_RUTA_LISTA_PRECIOS || "get_lista_precios.php"
+};
+
+/**
+ * URL completa de un endpoint de Rodin
+ * @param {string} endpoint - auth_login | get_clientes | get_lista_precios
+ */
+export function urlRodin(endpoint) {
+  const ruta = RUTAS_RODIN[endpoint];
+  if (!ruta) {
+    throw new Error(`Endpoint de Rodin desconocido: ${endpoint}`);
+  }
+  return `${BASE_URL}/${ruta.replace(/^\/+/, "")}`;
+}
+
+export function esSandboxRodin() {
+  return SANDBOX;
+}
+
+/**
+ * Configuración del upstream (para health; sin credenciales)
+ */
+export function getRodinConfig() {
+  return {
+    base_url: BASE_URL,
+    sandbox: SANDBOX,
+    rutas: { ...RUTAS_RODIN }
+  };
+}
@@ -0,0 +1,101 @@
+// services/shopifyClientesService.js - VÍNCULO CLIENTE SHOPIFY → CLIENTE RODIN
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { obtenerClientePorEmail, obtenerClientePorCodigo } from "./clientesService.js";
+import { logger } from "./logger.js";
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
+const VINCULO_TTL = 15 * 60 * 1000; // 15 minutos
+
+// customerId de Shopify → { codigo, emails, expira }
+const vinculos = new Map();
+let mapaEstatico = null;
+
+/**
+ * Vínculos fijos desde archivo JSON: { "<customer_id>": "<codigo Rodin>" }
+ * Ruta en SHOPIFY_CLIENTES_MAP (por defecto config/shopify-clientes.json)
+ */
+function cargarMapaEstatico() {
+  if (mapaEstatico) return mapaEstatico;
+
+  const ruta = path.resolve(process.env.SHOPIFY_CLIENTES_MAP || "config/shopify-clientes.json");
+  try {
+    mapaEstatico = JSON.parse(fs.readFileSync(ruta, "utf8"));
+    logger.info("Vínculos Shopify → Rodin cargados", { total: Object.keys(mapaEstatico).length, ruta });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("No se pudo leer el mapa de clientes Shopify", { ruta, error });
+    }
+    mapaEstatico = {};
+  }
+  return mapaEstatico;
+}
+
+/**
+ * Email del cliente en Shopify vía Admin API (requiere SHOPIFY_ADMIN_TOKEN)
+ */
+async function obtenerEmailShopify(shop, customerId) {
+  const token = process.env.SHOPIFY_ADMIN_TOKEN;
+  if (!token || !shop) return null;
+
+  const url = `https://${shop}/admin/api/${SHOPIFY_API_VERSION}/customers/${customerId}.json`;
+  const response = await axios.get(url, {
+    headers: { "X-Shopify-Access-Token": token, "Accept": "application/json" },
+    timeout: 10000
+  });
+
+  return response.data?.customer?.email || null;
+}
+
+function correosDe(cliente) {
+  return [cliente.contacto1_correo, cliente.contacto2_correo]
+    .filter(Boolean)
+    .map(email => email.trim().toLowerCase());
+}
+
+/**
+ * Resolver qué cliente Rodin corresponde a un cliente de Shopify
+ * 1. Mapa estático (config) por customer id
+ * 2. Email del cliente en Shopify → índice de correos de Rodin
+ * @returns {Promise<Object|null>} - { codigo, emails } o null si no está vinculado
+ */
+export async function resolverClienteShopify(customerId, shop) {
+  const memo = vinculos.get(customerId);
+  if (memo && memo.expira > Date.now()) {
+    return memo.cliente;
+  }
+
+  let cliente = null;
+  const codigoFijo = cargarMapaEstatico()[customerId];
+
+  if (codigoFijo) {
+    // El código ya es conocido: sin índice de Rodin solo faltan los correos
+    const clienteRodin = await obtenerClientePorCodigo(codigoFijo).catch(error => {
+      logger.warn("Índice de clientes no disponible para el vínculo fijo", { shopify_customer: customerId, error });
+      return null;
+    });
+    cliente = {
+      codigo: codigoFijo,
+      emails: clienteRodin ? correosDe(clienteRodin) : []
+    };
+  } else {
+    try {
+      const email = await obtenerEmailShopify(shop, customerId);
+      const clienteRodin = email ? await obtenerClientePorEmail(email) : null;
+      if (clienteRodin) {
+        cliente = { codigo: clienteRodin.cliente, emails: correosDe(clienteRodin) };
+      }
+    } catch (error) {
+      logger.error("Error consultando cliente Shopify", { shopify_customer: customerId, error });
+      return null; // No se memoriza: puede ser un fallo temporal
+    }
+  }
+
+  vinculos.set(customerId, { cliente, expira: Date.now() + VINCULO_TTL });
+
+  if (!cliente) {
+    logger.warn("Cliente Shopify sin cliente Rodin vinculado", { shopify_customer: customerId });
+  }
+  return cliente;
+}
@@ -0,0 +1,107 @@
+// test/cotizacionService.test.js - COTIZACIÓN CONTRA EL SANDBOX DE RODIN
+// Levanta el Rodin simulado (routes/sandboxRodin.js) con los fixtures de fixtures/rodin
+// y cotiza con el servicio real: no requiere red ni credenciales de producción.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { iniciarSandbox } from "./sandbox.js";
+
+let sandbox;
+let crearCotizacion;
+let obtenerCotizacion;
+
+before(async () => {
+  sandbox = await iniciarSandbox({ COTIZACION_TASA_IMPUESTOS: "0.16" });
+  ({ crearCotizacion, obtenerCotizacion } = await import("../services/cotizacionService.js"));
+});
+
+after(() => sandbox.cerrar());
+
+test("cobra el precio final del cliente y reporta el descuento contra precio de lista", async () => {
+  // K1014: lista DISTRIBUIDOR con 15% de descuento (precio_final de Rodin ya descontado)
+  const cotizacion = await crearCotizacion({
+    cliente: "K1014",
+    lineas: [
+      { sku: "TOR-101", cantidad: 10 },
+      { sku: "TOR-102", cantidad: 4 }
+    ]
+  });
+
+  assert.equal(cotizacion.cliente.codigo, "K1014");
+  assert.equal(cotizacion.moneda, "MXN");
+  assert.equal(cotizacion.completa, true);
+  assert.deepEqual(cotizacion.lineas.map(l => [l.sku, l.precio_lista, l.precio_unitario, l.importe, l.descuento, l.importe_neto]), [
+    ["TOR-101", 2.49, 2.12, 24.9, 3.7, 21.2],
+    ["TOR-102", 3.5, 2.98, 14, 2.08, 11.92]
+  ]);
+  assert.deepEqual(cotizacion.totales, {
+    subtotal: 38.9,
+    descuentos: 5.78,
+    base_impuestos: 33.12,
+    impuestos: 5.3,
+    total: 38.42
+  });
+});
+
+test("no aplica condiciones.descuento cuando Rodin no lo aplica (lista PUBLICO)", async () => {
+  // K1005 tiene 5% en sus condiciones, pero su lista PUBLICO no lleva descuento (igual que /completo)
+  const cotizacion = await crearCotizacion({ cliente: "K1005", lineas: [{ sku: "TOR-101", cantidad: 10 }] });
+
+  assert.equal(cotizacion.lineas[0].precio_unitario, 2.49);
+  assert.equal(cotizacion.totales.descuentos, 0);
+  assert.equal(cotizacion.totales.total, 28.88);
+});
+
+test("los SKUs desconocidos quedan fuera de los totales", async () => {
+  const cotizacion = await crearCotizacion({
+    cliente: "compras@cliente14.example.com",
+    lineas: [
+      { sku: "NO-EXISTE", cantidad: 3 },
+      { sku: "TOR-101", cantidad: 10 }
+    ]
+  });
+
+  assert.equal(cotizacion.cliente.codigo, "K1014");
+  assert.equal(cotizacion.completa, false);
+  assert.deepEqual(cotizacion.lineas_sin_precio, [{ linea: 1, sku: "NO-EXISTE", cantidad: 3, motivo: "SKU_DESCONOCIDO" }]);
+  assert.deepEqual(cotizacion.lineas.map(l => l.linea), [2]);
+  assert.equal(cotizacion.totales.subtotal, 24.9);
+  assert.equal(cotizacion.totales.total, 24.59);
+
+  assert.equal(obtenerCotizacion(cotizacion.id), cotizacion);
+});
+
+test("un SKU que Rodin no tiene (404) entre SKUs conocidos no aborta la cotización", async () => {
+  const cotizacion = await crearCotizacion({
+    cliente: "K1014",
+    lineas: [
+      { sku: "TOR-101", cantidad: 10 },
+      { sku: "NO-EXISTE", cantidad: 1 },
+      { sku: "TOR-102", cantidad: 4 },
+      { sku: "TOR-101", cantidad: 2 }
+    ]
+  });
+
+  assert.equal(cotizacion.completa, false);
+  assert.deepEqual(cotizacion.lineas_sin_precio, [{ linea: 2, sku: "NO-EXISTE", cantidad: 1, motivo: "SKU_DESCONOCIDO" }]);
+  assert.deepEqual(cotizacion.lineas.map(l => [l.linea, l.sku, l.importe_neto]), [
+    [1, "TOR-101", 21.2],
+    [3, "TOR-102", 11.92],
+    [4, "TOR-101", 4.24]
+  ]);
+});
+
+test("si ningún SKU existe la cotización queda vacía, sin error de cliente", async () => {
+  const cotizacion = await crearCotizacion({ cliente: "K1014", lineas: [{ sku: "NO-EXISTE", cantidad: 1 }] });
+
+  assert.equal(cotizacion.completa, false);
+  assert.deepEqual(cotizacion.lineas, []);
+  assert.equal(cotizacion.lineas_sin_precio.length, 1);
+  assert.equal(cotizacion.totales.total, 0);
+});
+
+test("un cliente inexistente es CLIENTE_NO_ENCONTRADO", async () => {
+  await assert.rejects(
+    crearCotizacion({ cliente: "K9999", lineas: [{ sku: "TOR-101", cantidad: 1 }] }),
+    { codigo: "CLIENTE_NO_ENCONTRADO" }
+  );
+});
@@ -0,0 +1,59 @@
+// test/listaPreciosService.test.js - RECORRIDO DE PÁGINAS CONTRA EL SANDBOX DE RODIN
+// Páginas de 17 productos sin total_paginas: los 51 artículos de los fixtures llenan
+// 3 páginas exactas, así que el final se detecta por la cuarta (vacía, repetida o 404).
+// DES-900 no tiene precio válido y se descarta: quedan 50 productos.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { iniciarSandbox } from "./sandbox.js";
+
+let sandbox;
+let obtenerListaPreciosCompleta;
+
+before(async () => {
+  sandbox = await iniciarSandbox({
+    RODIN_SANDBOX_TAMANO_PAGINA: "17",
+    RODIN_SANDBOX_TOTAL_PAGINAS: "false"
+  });
+  ({ obtenerListaPreciosCompleta } = await import("../services/listaPreciosService.js"));
+});
+
+after(() => sandbox.cerrar());
+
+test("termina en la primera página vacía", async () => {
+  const { lista_precios, paginacion } = await obtenerListaPreciosCompleta("K1001", { concurrencia: 2 });
+
+  assert.equal(paginacion.motivo_fin, "pagina_vacia");
+  assert.equal(paginacion.paginas_obtenidas, 3);
+  assert.equal(lista_precios.length, 50);
+  assert.equal(new Set(lista_precios.map(p => p.articulo)).size, 50);
+});
+
+test("termina cuando Rodin repite la última página", async () => {
+  const { lista_precios, paginacion } = await obtenerListaPreciosCompleta("SANDBOX-FIN-REPETIDO", { concurrencia: 3 });
+
+  assert.equal(paginacion.motivo_fin, "pagina_repetida");
+  assert.equal(paginacion.paginas_obtenidas, 3);
+  assert.equal(paginacion.duplicados_descartados, 0);
+  assert.equal(lista_precios.length, 50);
+});
+
+test("un 404 después de la primera página es el final, no un cliente inexistente", async () => {
+  const { lista_precios, paginacion } = await obtenerListaPreciosCompleta("SANDBOX-FIN-404", { concurrencia: 2 });
+
+  assert.equal(paginacion.motivo_fin, "pagina_vacia");
+  assert.equal(paginacion.paginas_obtenidas, 3);
+  assert.equal(lista_precios.length, 50);
+});
+
+test("un 404 en la primera página es CLIENTE_NO_ENCONTRADO", async () => {
+  await assert.rejects(obtenerListaPreciosCompleta("K9999"), { codigo: "CLIENTE_NO_ENCONTRADO" });
+});
+
+test("se detiene en max_paginas", async () => {
+  const { lista_precios, paginacion } = await obtenerListaPreciosCompleta("K1001", { max_paginas: 2, concurrencia: 3 });
+
+  assert.equal(paginacion.motivo_fin, "limite_paginas");
+  assert.equal(paginacion.paginas_obtenidas, 2);
+  assert.equal(paginacion.paginas_solicitadas, 2);
+  assert.equal(lista_precios.length, 34);
+});
@@ -0,0 +1,136 @@
+// test/rateLimit.test.js - RATE LIMITING (TOKEN BUCKET) CON RELOJ INYECTADO
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+const MINUTO = 60 * 1000;
+
+let LimitadorTokens;
+let crearLimitarPeticiones;
+
+before(async () => {
+  Object.assign(process.env, { RATE_LIMIT_MAX: "10", RATE_LIMIT_COSTOSO_MAX: "2", LOG_LEVEL: "error" });
+  ({ LimitadorTokens, crearLimitarPeticiones } = await import("../middleware/rateLimit.js"));
+});
+
+// Reloj manual: solo avanza cuando la prueba lo pide
+function relojManual() {
+  let ahora = 1_000_000;
+  const reloj = () => ahora;
+  reloj.avanzar = (ms) => { ahora += ms; };
+  return reloj;
+}
+
+// Petición por IP y respuesta mínima de Express
+function peticion(path, ip = "10.0.0.1") {
+  return { path, ip, query: {}, originalUrl: path, socket: {} };
+}
+
+function respuesta() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(nombre, valor) {
+      if (typeof nombre === "object") Object.assign(this.headers, nombre);
+      else this.headers[nombre] = valor;
+      return this;
+    },
+    status(codigo) { this.statusCode = codigo; return this; },
+    json(cuerpo) { this.body = cuerpo; return this; }
+  };
+}
+
+// Ejecutar el middleware: status final (200 si pasó a next)
+function llamar(middleware, req) {
+  const res = respuesta();
+  let siguiente = false;
+  middleware(req, res, () => { siguiente = true; });
+  return { status: siguiente ? 200 : res.statusCode, res };
+}
+
+test("el bucket se rellena de forma continua con el tiempo", () => {
+  const reloj = relojManual();
+  const limitador = new LimitadorTokens({ ventanaMs: 10 * MINUTO, reloj });
+
+  for (let i = 0; i < 10; i++) assert.equal(limitador.consumir("ip:a", 10).permitido, true);
+
+  const agotado = limitador.consumir("ip:a", 10);
+  assert.equal(agotado.permitido, false);
+  assert.equal(agotado.reintentarEn, 60); // 10 por 10 min = 1 token por minuto
+
+  reloj.avanzar(MINUTO - 1);
+  assert.equal(limitador.consumir("ip:a", 10).permitido, false);
+
+  reloj.avanzar(1);
+  assert.equal(limitador.consumir("ip:a", 10).permitido, true);
+  assert.equal(limitador.consumir("ip:a", 10).permitido, false);
+
+  // Tras la ventana completa vuelve a estar lleno (sin pasar del máximo)
+  reloj.avanzar(60 * MINUTO);
+  const lleno = limitador.consumir("ip:a", 10);
+  assert.equal(lleno.permitido, true);
+  assert.equal(lleno.restantes, 9);
+});
+
+test("las rutas costosas tienen su propio límite, menor que el general", () => {
+  const limitar = crearLimitarPeticiones(new LimitadorTokens({ ventanaMs: 10 * MINUTO, reloj: relojManual() }));
+
+  assert.equal(llamar(limitar, peticion("/lista-precios/completo/K1001")).status, 200);
+  assert.equal(llamar(limitar, peticion("/lista-precios/completo/K1001")).status, 200);
+
+  const rechazada = llamar(limitar, peticion("/lista-precios/completo/K1002"));
+  assert.equal(rechazada.status, 429);
+  assert.equal(rechazada.res.headers["RateLimit-Limit"], "2");
+  assert.equal(rechazada.res.headers["Retry-After"], "300");
+  assert.equal(rechazada.res.body.codigo, "LIMITE_EXCEDIDO");
+
+  // La clase general de la misma IP no se ve afectada
+  const general = llamar(limitar, peticion("/lista-precios/visibles/K1001"));
+  assert.equal(general.status, 200);
+  assert.equal(general.res.headers["RateLimit-Limit"], "10");
+
+  // Otra IP tiene su propio presupuesto costoso
+  assert.equal(llamar(limitar, peticion("/cotizacion", "10.0.0.2")).status, 200);
+});
+
+test("/health no consume ni se limita", () => {
+  const limitador = new LimitadorTokens({ ventanaMs: 10 * MINUTO, reloj: relojManual() });
+  const limitar = crearLimitarPeticiones(limitador);
+
+  for (let i = 0; i < 50; i++) {
+    const { status, res } = llamar(limitar, peticion("/health"));
+    assert.equal(status, 200);
+    assert.equal(res.headers["RateLimit-Limit"], undefined);
+  }
+  assert.equal(limitador.size, 0);
+});
+
+test("con maxEntradas lleno se desaloja la identidad usada hace más tiempo", () => {
+  const reloj = relojManual();
+  const limitador = new LimitadorTokens({ ventanaMs: 10 * MINUTO, maxEntradas: 2, reloj });
+
+  limitador.consumir("ip:a", 1); // a agota su único token
+  limitador.consumir("ip:b", 1);
+  assert.equal(limitador.consumir("ip:a", 1).permitido, false); // a pasa a ser la más reciente
+
+  limitador.consumir("ip:c", 1); // desaloja a b, no a a
+  assert.equal(limitador.size, 2);
+  assert.deepEqual([...limitador.buckets.keys()], ["ip:a", "ip:c"]);
+  assert.equal(limitador.consumir("ip:a", 1).permitido, false);
+
+  // b vuelve con el bucket lleno y desaloja a c (a se acaba de usar)
+  assert.equal(limitador.consumir("ip:b", 1).permitido, true);
+  assert.deepEqual([...limitador.buckets.keys()], ["ip:a", "ip:b"]);
+});
+
+test("purgarInactivos elimina buckets sin uso durante una ventana", () => {
+  const reloj = relojManual();
+  const limitador = new LimitadorTokens({ ventanaMs: 10 * MINUTO, reloj });
+
+  limitador.consumir("ip:a", 10);
+  reloj.avanzar(5 * MINUTO);
+  limitador.consumir("ip:b", 10);
+
+  reloj.avanzar(5 * MINUTO);
+  limitador.purgarInactivos();
+  assert.deepEqual([...limitador.buckets.keys()], ["ip:b"]);
+});
@@ -0,0 +1,123 @@
+// test/resilienciaRodin.test.js - REINTENTOS Y CIRCUIT BREAKER
+// El circuito es uno solo por proceso: las pruebas van en orden y cada una parte del
+// estado en que la anterior lo dejó (cerrado salvo donde se indica).
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+
+let llamarRodin;
+let getEstadoRodin;
+let RodinNoDisponibleError;
+
+before(async () => {
+  Object.assign(process.env, {
+    RODIN_CIRCUITO_UMBRAL: "3",
+    RODIN_CIRCUITO_ESPERA_SEG: "30",
+    RODIN_INTENTOS: "2",
+    RODIN_BACKOFF_BASE_MS: "1",
+    RODIN_BACKOFF_MAX_MS: "2",
+    LOG_LEVEL: "error"
+  });
+  ({ llamarRodin, getEstadoRodin, RodinNoDisponibleError } = await import("../services/resilienciaRodin.js"));
+
+  // Solo se controla Date (apertura del circuito); el backoff usa setTimeout real de 1-2 ms
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+});
+
+after(() => mock.timers.reset());
+
+// Llamada simulada a Rodin: cuenta sus intentos
+function upstream(comportamiento) {
+  const fn = async () => {
+    fn.intentos++;
+    return comportamiento();
+  };
+  fn.intentos = 0;
+  return fn;
+}
+
+const caido = () => { throw Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }); };
+const responde = () => ({ status: 200, data: { ok: true } });
+
+test("una llamada que agota sus reintentos cuenta como un solo fallo", async () => {
+  const fn = upstream(caido);
+  const reintentos = [];
+
+  await assert.rejects(llamarRodin("get_clientes", fn, { onReintento: (intento) => reintentos.push(intento) }), { code: "ECONNREFUSED" });
+
+  const estado = getEstadoRodin();
+  assert.equal(fn.intentos, 2);
+  assert.deepEqual(reintentos, [1]);
+  assert.equal(estado.fallos_consecutivos, 1);
+  assert.equal(estado.reintentos_agotados, 1);
+  assert.equal(estado.circuito, "cerrado");
+});
+
+test("los 4xx no se reintentan ni cuentan como fallo", async () => {
+  const fn = upstream(() => { throw Object.assign(new Error("Not Found"), { response: { status: 404 } }); });
+
+  await assert.rejects(llamarRodin("get_lista_precios", fn), { message: "Not Found" });
+
+  assert.equal(fn.intentos, 1);
+  assert.equal(getEstadoRodin().fallos_consecutivos, 0);
+});
+
+test("las llamadas no idempotentes se intentan una sola vez", async () => {
+  const fn = upstream(caido);
+
+  await assert.rejects(llamarRodin("auth_login", fn, { idempotente: false }));
+
+  assert.equal(fn.intentos, 1);
+  assert.equal(getEstadoRodin().fallos_consecutivos, 1);
+  await llamarRodin("auth_login", upstream(responde), { idempotente: false });
+});
+
+test("abre el circuito tras el umbral de llamadas fallidas y rechaza sin llamar", async () => {
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(llamarRodin("get_clientes", upstream(caido)));
+    assert.equal(getEstadoRodin().circuito, "cerrado");
+  }
+  await assert.rejects(llamarRodin("get_clientes", upstream(caido)));
+  assert.equal(getEstadoRodin().circuito, "abierto");
+  assert.equal(getEstadoRodin().fallos_consecutivos, 3);
+
+  const fn = upstream(responde);
+  await assert.rejects(llamarRodin("get_clientes", fn), (error) => {
+    assert.ok(error instanceof RodinNoDisponibleError);
+    assert.equal(error.reintentarEnSeg, 30);
+    return true;
+  });
+  assert.equal(fn.intentos, 0);
+});
+
+test("semiabierto: una sola prueba sin reintentos; si falla reabre", async () => {
+  mock.timers.tick(30 * 1000);
+  assert.equal(getEstadoRodin().circuito, "semiabierto");
+
+  const prueba = upstream(caido);
+  await assert.rejects(llamarRodin("get_clientes", prueba), { code: "ECONNREFUSED" });
+
+  assert.equal(prueba.intentos, 1);
+  assert.equal(getEstadoRodin().circuito, "abierto");
+  assert.equal(getEstadoRodin().reintentar_en_seg, 30);
+});
+
+test("semiabierto: mientras la prueba está en curso se rechaza el resto; si funciona cierra", async () => {
+  mock.timers.tick(30 * 1000);
+
+  let responder;
+  const prueba = upstream(() => new Promise(resolve => { responder = resolve; }));
+  const enCurso = llamarRodin("get_clientes", prueba);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const otra = upstream(responde);
+  await assert.rejects(llamarRodin("get_clientes", otra), RodinNoDisponibleError);
+  assert.equal(otra.intentos, 0);
+
+  responder({ status: 200 });
+  await enCurso;
+
+  const estado = getEstadoRodin();
+  assert.equal(estado.circuito, "cerrado");
+  assert.equal(estado.fallos_consecutivos, 0);
+  assert.equal((await llamarRodin("get_clientes", upstream(responde))).status, 200);
+});
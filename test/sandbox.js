@@ -0,0 +1,48 @@
+// test/sandbox.js - RODIN SIMULADO PARA LAS PRUEBAS
+// Levanta routes/sandboxRodin.js (fixtures de fixtures/rodin) en un puerto libre y apunta
+// RODIN_BASE_URL a él. Debe llamarse antes de importar los servicios: la URL base de Rodin
+// y la configuración del sandbox se leen al importarlos.
+import net from "node:net";
+import express from "express";
+
+function puertoLibre() {
+  return new Promise((resolve, reject) => {
+    const sonda = net.createServer();
+    sonda.once("error", reject);
+    sonda.listen(0, "127.0.0.1", () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Iniciar el Rodin simulado
+ * @param {Object} env - Variables adicionales (RODIN_SANDBOX_TAMANO_PAGINA, ...)
+ * @returns {Promise<{ cerrar: Function }>}
+ */
+export async function iniciarSandbox(env = {}) {
+  const puerto = await puertoLibre();
+  Object.assign(process.env, {
+    RODIN_BASE_URL: `http://127.0.0.1:${puerto}/sandbox/rodin`,
+    RODIN_USUARIO: "demo",
+    RODIN_PASSWORD: "demo",
+    RODIN_SANDBOX_LATENCIA_MS: "1",
+    LOG_LEVEL: "error",
+    ...env
+  });
+
+  const { default: sandboxRodinRouter } = await import("../routes/sandboxRodin.js");
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use("/sandbox/rodin", sandboxRodinRouter);
+
+  const servidor = await new Promise(resolve => {
+    const s = app.listen(puerto, "127.0.0.1", () => resolve(s));
+  });
+
+  return {
+    cerrar: () => new Promise(resolve => servidor.close(resolve))
+  };
+}
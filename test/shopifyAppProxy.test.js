@@ -0,0 +1,99 @@
+// test/shopifyAppProxy.test.js - FIRMA DE SHOPIFY APP PROXY
+// Las firmas se calculan aquí siguiendo la especificación de Shopify (parámetros ordenados,
+// `clave=valor` sin separador, valores repetidos unidos con coma) para no reutilizar el código verificado.
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+const SECRETO = "secreto-de-prueba";
+
+let verificarFirmaAppProxy;
+let verificarPeticionAppProxy;
+
+before(async () => {
+  process.env.SHOPIFY_API_SECRET = SECRETO;
+  process.env.SHOPIFY_APP_PROXY_MAX_EDAD_SEG = "300";
+  ({ verificarFirmaAppProxy, verificarPeticionAppProxy } = await import("../middleware/shopifyAppProxy.js"));
+});
+
+function firmar(pares, secreto = SECRETO) {
+  const agrupados = {};
+  for (const [clave, valor] of pares) (agrupados[clave] ||= []).push(valor);
+
+  const mensaje = Object.keys(agrupados).sort()
+    .map(clave => `${clave}=${agrupados[clave].join(",")}`)
+    .join("");
+  return crypto.createHmac("sha256", secreto).update(mensaje).digest("hex");
+}
+
+function queryFirmada(pares) {
+  return new URLSearchParams([...pares, ["signature", firmar(pares)]]).toString();
+}
+
+// Petición mínima como la ve el middleware (originalUrl + req.query de Express)
+function peticion(queryString) {
+  return {
+    originalUrl: `/apps/precios/lista-precios/completo/K1001?${queryString}`,
+    query: Object.fromEntries(new URLSearchParams(queryString))
+  };
+}
+
+const ahora = () => String(Math.floor(Date.now() / 1000));
+
+test("acepta una firma válida", () => {
+  const query = queryFirmada([
+    ["shop", "tienda.myshopify.com"],
+    ["path_prefix", "/apps/precios"],
+    ["timestamp", ahora()],
+    ["logged_in_customer_id", "123"]
+  ]);
+
+  assert.equal(verificarFirmaAppProxy(query, SECRETO), true);
+  assert.equal(verificarPeticionAppProxy(peticion(query)), "valida");
+});
+
+test("rechaza un parámetro alterado después de firmar", () => {
+  const query = queryFirmada([
+    ["shop", "tienda.myshopify.com"],
+    ["timestamp", ahora()],
+    ["logged_in_customer_id", "123"]
+  ]).replace("logged_in_customer_id=123", "logged_in_customer_id=456");
+
+  assert.equal(verificarFirmaAppProxy(query, SECRETO), false);
+  assert.equal(verificarPeticionAppProxy(peticion(query)), "invalida");
+});
+
+test("un parámetro repetido se firma con sus valores unidos por coma", () => {
+  const pares = [
+    ["shop", "tienda.myshopify.com"],
+    ["extra", "1"],
+    ["extra", "2"],
+    ["timestamp", ahora()]
+  ];
+  const query = queryFirmada(pares);
+
+  assert.equal(verificarFirmaAppProxy(query, SECRETO), true);
+
+  // Firmar cada valor por separado (o solo el último) no es lo que hace Shopify
+  const soloUltimo = new URLSearchParams([...pares, ["signature", firmar(pares.filter(([, v]) => v !== "1"))]]);
+  assert.equal(verificarFirmaAppProxy(soloUltimo.toString(), SECRETO), false);
+});
+
+test("una firma válida con timestamp viejo está expirada", () => {
+  const hace10Min = String(Math.floor(Date.now() / 1000) - 600);
+  const query = queryFirmada([
+    ["shop", "tienda.myshopify.com"],
+    ["timestamp", hace10Min],
+    ["logged_in_customer_id", "123"]
+  ]);
+
+  assert.equal(verificarFirmaAppProxy(query, SECRETO), true);
+  assert.equal(verificarPeticionAppProxy(peticion(query)), "expirada");
+});
+
+test("sin signature no hay firma que verificar", () => {
+  const query = new URLSearchParams([["shop", "tienda.myshopify.com"], ["timestamp", ahora()]]).toString();
+
+  assert.equal(verificarFirmaAppProxy(query, SECRETO), false);
+  assert.equal(verificarPeticionAppProxy(peticion(query)), "sin_firma");
+});